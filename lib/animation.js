@@ -0,0 +1,706 @@
+/**
+ * 动画图片处理库
+ * 解码 GIF / APNG / 动画 WebP 为逐帧的完整画面，并把处理后的帧重新编码为同一种动画格式，
+ * 保留每帧的延时和循环次数；GIF 的块结构解析（parseGif）和混淆签名共用，位于 image-exif.js
+ */
+
+// 解码后所有帧的像素数据上限（字节），超过时拒绝处理，避免占满内存
+const ANIMATION_MAX_BYTES = 512 * 1024 * 1024
+
+// 当前载入的动画文件：{ blob, format }，不是动画时为 null
+let animationSource = null
+
+// ==================== GIF ====================
+
+/**
+ * LZW 解码 GIF 图像数据
+ * @param {Uint8Array} data 压缩数据
+ * @param {number} minCodeSize 最小码长
+ * @param {number} pixelCount 像素数，数据不足时其余像素为索引 0
+ * @returns {Uint8Array} 调色板索引
+ */
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const output = new Uint8Array(pixelCount)
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+    const prefix = new Uint16Array(4096)
+    const suffix = new Uint8Array(4096)
+    const stack = new Uint8Array(4097)
+    for (let i = 0; i < clearCode; i++) suffix[i] = i
+
+    let codeSize = minCodeSize + 1
+    let nextCode = endCode + 1
+    let prevCode = -1
+    let first = 0
+    let bits = 0
+    let bitCount = 0
+    let pos = 0
+    let out = 0
+
+    while (out < pixelCount) {
+        while (bitCount < codeSize) {
+            if (pos >= data.length) return output
+            bits |= data[pos++] << bitCount
+            bitCount += 8
+        }
+        const code = bits & ((1 << codeSize) - 1)
+        bits >>>= codeSize
+        bitCount -= codeSize
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1
+            nextCode = endCode + 1
+            prevCode = -1
+            continue
+        }
+        if (code === endCode) break
+
+        if (prevCode === -1) {
+            first = suffix[code]
+            output[out++] = first
+            prevCode = code
+            continue
+        }
+
+        let top = 0
+        let current = code
+        // 码字尚未加入字典（KwKwK）：上一个串加上它自己的首字符
+        if (code >= nextCode) {
+            stack[top++] = first
+            current = prevCode
+        }
+        while (current > endCode) {
+            stack[top++] = suffix[current]
+            current = prefix[current]
+        }
+        first = suffix[current]
+        stack[top++] = first
+        while (top > 0 && out < pixelCount) output[out++] = stack[--top]
+
+        if (nextCode < 4096) {
+            prefix[nextCode] = prevCode
+            suffix[nextCode] = first
+            nextCode++
+            if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++
+        }
+        prevCode = code
+    }
+    return output
+}
+
+/**
+ * LZW 编码 GIF 图像数据
+ * @param {Uint8Array} indices 调色板索引
+ * @param {number} minCodeSize 最小码长
+ * @returns {Uint8Array} 压缩数据
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+    const output = []
+    let codeSize = minCodeSize + 1
+    let nextCode = endCode + 1
+    let dictionary = new Map()
+    let bits = 0
+    let bitCount = 0
+
+    const emit = (code) => {
+        bits |= code << bitCount
+        bitCount += codeSize
+        while (bitCount >= 8) {
+            output.push(bits & 0xFF)
+            bits >>>= 8
+            bitCount -= 8
+        }
+    }
+
+    emit(clearCode)
+    let prefix = indices[0]
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i]
+        const key = (prefix << 8) | index
+        const code = dictionary.get(key)
+        if (code !== undefined) {
+            prefix = code
+            continue
+        }
+        emit(prefix)
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++)
+            if (nextCode > (1 << codeSize)) codeSize++
+        } else {
+            // 字典已满，重新开始
+            emit(clearCode)
+            dictionary = new Map()
+            codeSize = minCodeSize + 1
+            nextCode = endCode + 1
+        }
+        prefix = index
+    }
+    emit(prefix)
+    emit(endCode)
+    if (bitCount > 0) output.push(bits & 0xFF)
+    return Uint8Array.from(output)
+}
+
+/**
+ * 将隔行扫描的行顺序还原为逐行顺序
+ * @param {Uint8Array} indices 隔行扫描的索引
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {Uint8Array}
+ */
+function deinterlaceGif(indices, width, height) {
+    const output = new Uint8Array(indices.length)
+    let row = 0
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) {
+            output.set(indices.subarray(row * width, (row + 1) * width), y * width)
+            row++
+        }
+    }
+    return output
+}
+
+/**
+ * 解码 GIF 动画为完整画面的帧序列
+ * 按各帧的处置方式合成，背景视为透明（与浏览器一致）
+ * @param {Uint8Array} bytes GIF 文件字节
+ * @returns {Object} { format: 'gif', width, height, loopCount, frames: [{ imgdata, delay }] }
+ */
+function decodeGif(bytes) {
+    const gif = parseGif(bytes)
+    const { width, height } = gif
+    checkAnimationSize(width, height, gif.frames.length)
+
+    const canvas = new Uint8ClampedArray(width * height * 4)
+    const frames = []
+    let previous = null
+    let saved = null
+
+    for (const frame of gif.frames) {
+        // 处置上一帧
+        if (previous && previous.disposal === 2) {
+            clearRect(canvas, width, height, previous)
+        } else if (previous && previous.disposal === 3 && saved) {
+            canvas.set(saved)
+        }
+        saved = frame.disposal === 3 ? canvas.slice() : null
+
+        if (frame.palette) {
+            let indices = lzwDecode(frame.data, frame.minCodeSize, frame.width * frame.height)
+            if (frame.interlaced) indices = deinterlaceGif(indices, frame.width, frame.height)
+            for (let y = 0; y < frame.height; y++) {
+                const canvasY = frame.y + y
+                if (canvasY >= height) break
+                for (let x = 0; x < frame.width; x++) {
+                    const canvasX = frame.x + x
+                    if (canvasX >= width) break
+                    const index = indices[y * frame.width + x]
+                    if (index === frame.transparentIndex || index * 3 >= frame.palette.length) continue
+                    const p = (canvasY * width + canvasX) * 4
+                    canvas[p] = frame.palette[index * 3]
+                    canvas[p + 1] = frame.palette[index * 3 + 1]
+                    canvas[p + 2] = frame.palette[index * 3 + 2]
+                    canvas[p + 3] = 255
+                }
+            }
+        }
+
+        frames.push({ imgdata: new ImageData(canvas.slice(), width, height), delay: frame.delay })
+        previous = frame
+    }
+    return { format: 'gif', width, height, loopCount: gif.loopCount, frames }
+}
+
+/**
+ * 将画面中的矩形区域清为透明
+ * @param {Uint8ClampedArray} canvas RGBA 像素
+ * @param {number} width 画面宽度
+ * @param {number} height 画面高度
+ * @param {Object} rect {x, y, width, height}
+ */
+function clearRect(canvas, width, height, rect) {
+    const right = Math.min(width, rect.x + rect.width)
+    for (let y = rect.y; y < Math.min(height, rect.y + rect.height); y++) {
+        if (right > rect.x) canvas.fill(0, (y * width + rect.x) * 4, (y * width + right) * 4)
+    }
+}
+
+/**
+ * 为一帧建立调色板（精确颜色，不做量化）
+ * alpha 小于 128 的像素视为透明，占用索引 0
+ * @param {ImageData} imgdata 帧画面
+ * @returns {Object|null} { palette, indices, transparent, bits }，颜色超过 256 种时返回 null
+ */
+function buildGifPalette(imgdata) {
+    const data = imgdata.data
+    const pixelCount = imgdata.width * imgdata.height
+    const indices = new Uint8Array(pixelCount)
+    const colors = new Map()
+    const palette = []
+
+    let transparent = false
+    for (let i = 0; i < pixelCount; i++) {
+        if (data[i * 4 + 3] < 128) {
+            transparent = true
+            break
+        }
+    }
+    if (transparent) palette.push(0, 0, 0)
+
+    for (let i = 0; i < pixelCount; i++) {
+        const p = i * 4
+        if (transparent && data[p + 3] < 128) continue
+        const color = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2]
+        let index = colors.get(color)
+        if (index === undefined) {
+            index = palette.length / 3
+            if (index >= 256) return null
+            colors.set(color, index)
+            palette.push(data[p], data[p + 1], data[p + 2])
+        }
+        indices[i] = index
+    }
+
+    // 色表大小必须是 2 的幂，至少 2 项
+    let bits = 1
+    while ((1 << bits) < palette.length / 3) bits++
+    const table = new Uint8Array(3 << bits)
+    table.set(palette)
+    return { palette: table, indices, transparent, bits }
+}
+
+/**
+ * 编码 GIF 动画
+ * 每帧都是完整画面（局部色表，处置方式为恢复背景），颜色精确保留，不做量化
+ * @param {Array<{imgdata: ImageData, delay: number}>} frames 帧序列
+ * @param {number|null} loopCount 重复次数（0 为无限循环），为 null 时不写循环扩展
+ * @returns {Blob|null} 某一帧颜色超过 256 种时返回 null
+ */
+function encodeGif(frames, loopCount) {
+    const { width, height } = frames[0].imgdata
+    const le16 = (value) => [value & 0xFF, (value >> 8) & 0xFF]
+    const parts = [
+        new TextEncoder().encode('GIF89a'),
+        Uint8Array.of(...le16(width), ...le16(height), 0, 0, 0)
+    ]
+    if (loopCount !== null && loopCount !== undefined) {
+        parts.push(Uint8Array.of(0x21, 0xFF, 11), new TextEncoder().encode('NETSCAPE2.0'),
+            Uint8Array.of(3, 1, ...le16(loopCount), 0))
+    }
+
+    for (const frame of frames) {
+        const table = buildGifPalette(frame.imgdata)
+        if (!table) return null
+        const delay = Math.min(0xFFFF, Math.round(frame.delay / 10))
+        // 图形控制扩展：处置方式 2（恢复背景）、透明色索引 0
+        parts.push(Uint8Array.of(0x21, 0xF9, 4, (2 << 2) | (table.transparent ? 1 : 0), ...le16(delay), 0, 0))
+        parts.push(Uint8Array.of(0x2C, 0, 0, 0, 0, ...le16(width), ...le16(height), 0x80 | (table.bits - 1)))
+        parts.push(table.palette)
+        const minCodeSize = Math.max(2, table.bits)
+        parts.push(Uint8Array.of(minCodeSize), writeGifSubBlocks(lzwEncode(table.indices, minCodeSize)))
+    }
+    parts.push(Uint8Array.of(0x3B))
+    return new Blob([concatBytes(parts)], { type: 'image/gif' })
+}
+
+// ==================== APNG ====================
+
+/**
+ * 是否为 APNG（含 acTL 块且不止一帧）
+ * @param {Uint8Array} bytes PNG 文件字节
+ * @returns {boolean}
+ */
+function isAnimatedPng(bytes) {
+    for (const chunk of readPngChunks(bytes)) {
+        if (chunk.type === 'acTL') return new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(0) > 1
+        if (chunk.type === 'IDAT') return false
+    }
+    return false
+}
+
+/**
+ * 解码 APNG 为完整画面的帧序列
+ * 每帧的数据组装成独立的 PNG 交给浏览器解码，再按处置和混合方式合成
+ * @param {Uint8Array} bytes APNG 文件字节
+ * @returns {Promise<Object>} { format: 'apng', width, height, loopCount, frames: [{ imgdata, delay }] }
+ */
+async function decodeApng(bytes) {
+    const chunks = readPngChunks(bytes)
+    const ihdr = chunks.find(c => c.type === 'IHDR')
+    if (!ihdr) throw new Error('不是有效的 PNG 文件')
+    const header = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength)
+    const width = header.getUint32(0)
+    const height = header.getUint32(4)
+
+    // 各帧共用的块（调色板、透明色、色彩空间等）
+    const shared = []
+    const controls = []
+    let loopCount = 0
+    let current = null
+    let seenData = false
+    for (const chunk of chunks) {
+        const view = new DataView(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength)
+        if (chunk.type === 'acTL') {
+            loopCount = view.getUint32(4)
+        } else if (chunk.type === 'fcTL') {
+            const delayDen = view.getUint16(22) || 100
+            current = {
+                width: view.getUint32(4),
+                height: view.getUint32(8),
+                x: view.getUint32(12),
+                y: view.getUint32(16),
+                delay: Math.round(view.getUint16(20) * 1000 / delayDen),
+                dispose: chunk.data[24],
+                blend: chunk.data[25],
+                data: []
+            }
+            controls.push(current)
+        } else if (chunk.type === 'IDAT') {
+            seenData = true
+            // 没有 fcTL 在前的默认图像不属于动画
+            if (current) current.data.push(chunk.data)
+        } else if (chunk.type === 'fdAT') {
+            if (current) current.data.push(chunk.data.subarray(4))
+        } else if (!seenData && chunk.type !== 'IHDR' && chunk.type !== 'IEND') {
+            shared.push(createPngChunk(chunk.type, chunk.data))
+        }
+    }
+    checkAnimationSize(width, height, controls.length)
+
+    const canvas = createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    const frames = []
+    let previous = null
+    let saved = null
+
+    for (let i = 0; i < controls.length; i++) {
+        const control = controls[i]
+        if (previous && previous.dispose === 1) {
+            ctx.clearRect(previous.x, previous.y, previous.width, previous.height)
+        } else if (previous && previous.dispose === 2 && saved) {
+            ctx.putImageData(saved, 0, 0)
+        }
+        // 第一帧的“恢复到上一帧”按“清除”处理
+        if (i === 0 && control.dispose === 2) control.dispose = 1
+        saved = control.dispose === 2 ? ctx.getImageData(0, 0, width, height) : null
+
+        const frameHeader = ihdr.data.slice()
+        const frameView = new DataView(frameHeader.buffer)
+        frameView.setUint32(0, control.width)
+        frameView.setUint32(4, control.height)
+        const png = concatBytes([
+            PNG_SIGNATURE,
+            createPngChunk('IHDR', frameHeader),
+            ...shared,
+            ...control.data.map(data => createPngChunk('IDAT', data)),
+            createPngChunk('IEND', new Uint8Array(0))
+        ])
+        const bitmap = await createImageBitmap(new Blob([png], { type: 'image/png' }))
+        if (control.blend === 0) ctx.clearRect(control.x, control.y, control.width, control.height)
+        ctx.drawImage(bitmap, control.x, control.y)
+        bitmap.close()
+
+        frames.push({ imgdata: ctx.getImageData(0, 0, width, height), delay: control.delay })
+        previous = control
+    }
+    return { format: 'apng', width, height, loopCount, frames }
+}
+
+/**
+ * 编码 APNG 动画
+ * 每帧都是完整画面（8 位 RGBA，直接覆盖上一帧），第一帧同时作为默认图像
+ * @param {Array<{imgdata: ImageData, delay: number}>} frames 帧序列
+ * @param {number} loopCount 播放次数（0 为无限循环）
+ * @returns {Promise<Blob>}
+ */
+async function encodeApng(frames, loopCount) {
+    const { width, height } = frames[0].imgdata
+    const u32 = (value) => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]
+    const u16 = (value) => [(value >> 8) & 0xFF, value & 0xFF]
+    const parts = [
+        PNG_SIGNATURE,
+        createPngChunk('IHDR', Uint8Array.of(...u32(width), ...u32(height), 8, 6, 0, 0, 0)),
+        createPngChunk('acTL', Uint8Array.of(...u32(frames.length), ...u32(loopCount)))
+    ]
+
+    let sequence = 0
+    const rowLength = width * 4 + 1
+    for (let i = 0; i < frames.length; i++) {
+        const { imgdata, delay } = frames[i]
+        // 延时分母为 1000（毫秒），超出 16 位时改用 1/100 秒
+        const [delayNum, delayDen] = delay <= 0xFFFF ? [delay, 1000] : [Math.min(0xFFFF, Math.round(delay / 10)), 100]
+        parts.push(createPngChunk('fcTL', Uint8Array.of(
+            ...u32(sequence++), ...u32(width), ...u32(height), ...u32(0), ...u32(0),
+            ...u16(delayNum), ...u16(delayDen), 0, 0
+        )))
+
+        // 每行前加过滤类型 0（不过滤）
+        const raw = new Uint8Array(rowLength * height)
+        for (let y = 0; y < height; y++) {
+            raw.set(imgdata.data.subarray(y * width * 4, (y + 1) * width * 4), y * rowLength + 1)
+        }
+        const compressed = await deflateBytes(raw)
+        if (i === 0) {
+            parts.push(createPngChunk('IDAT', compressed))
+        } else {
+            const data = new Uint8Array(4 + compressed.length)
+            data.set(u32(sequence++))
+            data.set(compressed, 4)
+            parts.push(createPngChunk('fdAT', data))
+        }
+    }
+    parts.push(createPngChunk('IEND', new Uint8Array(0)))
+    return new Blob([concatBytes(parts)], { type: 'image/png' })
+}
+
+// ==================== 动画 WebP ====================
+
+/**
+ * 读取 24 位小端整数
+ * @param {Uint8Array} bytes 字节
+ * @param {number} offset 位置
+ * @returns {number}
+ */
+function readUint24(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)
+}
+
+/**
+ * 24 位小端整数的字节
+ * @param {number} value 数值
+ * @returns {Array<number>}
+ */
+function uint24Bytes(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF]
+}
+
+/**
+ * 是否为动画 WebP（含 ANIM 块且不止一帧）
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @returns {boolean}
+ */
+function isAnimatedWebp(bytes) {
+    const chunks = readWebpChunks(bytes)
+    return chunks.some(c => c.type === 'ANIM') && chunks.filter(c => c.type === 'ANMF').length > 1
+}
+
+/**
+ * 解码动画 WebP 为完整画面的帧序列
+ * 每帧的图像数据组装成独立的 WebP 交给浏览器解码，再按处置和混合方式合成
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @returns {Promise<Object>} { format: 'webp', width, height, loopCount, frames: [{ imgdata, delay }] }
+ */
+async function decodeAnimatedWebp(bytes) {
+    const chunks = readWebpChunks(bytes)
+    const vp8x = chunks.find(c => c.type === 'VP8X')
+    const anim = chunks.find(c => c.type === 'ANIM')
+    if (!vp8x || !anim) throw new Error('不是有效的动画 WebP 文件')
+    const width = readUint24(bytes, vp8x.offset + 12) + 1
+    const height = readUint24(bytes, vp8x.offset + 15) + 1
+    const loopCount = bytes[anim.offset + 12] | (bytes[anim.offset + 13] << 8)
+    const anmfChunks = chunks.filter(c => c.type === 'ANMF')
+    checkAnimationSize(width, height, anmfChunks.length)
+
+    const canvas = createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    const frames = []
+    let previous = null
+
+    for (const anmf of anmfChunks) {
+        const start = anmf.offset + 8
+        const flags = bytes[start + 15]
+        const control = {
+            x: readUint24(bytes, start) * 2,
+            y: readUint24(bytes, start + 3) * 2,
+            width: readUint24(bytes, start + 6) + 1,
+            height: readUint24(bytes, start + 9) + 1,
+            delay: readUint24(bytes, start + 12),
+            dispose: flags & 1,
+            blend: (flags & 2) ? 0 : 1
+        }
+        if (previous && previous.dispose === 1) {
+            ctx.clearRect(previous.x, previous.y, previous.width, previous.height)
+        }
+
+        // 帧数据由 ALPH（可选）和 VP8 / VP8L 块组成
+        const frameBytes = bytes.subarray(start + 16, start + anmf.length)
+        const frameChunks = []
+        let hasAlpha = false
+        let offset = 0
+        while (offset + 8 <= frameBytes.length) {
+            const type = String.fromCharCode(...frameBytes.subarray(offset, offset + 4))
+            const length = new DataView(frameBytes.buffer, frameBytes.byteOffset + offset + 4, 4).getUint32(0, true)
+            const end = offset + 8 + length + (length & 1)
+            if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+                frameChunks.push(frameBytes.subarray(offset, Math.min(end, frameBytes.length)))
+                if (type === 'ALPH') hasAlpha = true
+            }
+            offset = end
+        }
+        if (hasAlpha) {
+            frameChunks.unshift(createWebpChunk('VP8X', Uint8Array.of(
+                0x10, 0, 0, 0, ...uint24Bytes(control.width - 1), ...uint24Bytes(control.height - 1)
+            )))
+        }
+        const bitmap = await createImageBitmap(new Blob([createWebpFile(frameChunks)], { type: 'image/webp' }))
+        if (control.blend === 0) ctx.clearRect(control.x, control.y, control.width, control.height)
+        ctx.drawImage(bitmap, control.x, control.y)
+        bitmap.close()
+
+        frames.push({ imgdata: ctx.getImageData(0, 0, width, height), delay: control.delay })
+        previous = control
+    }
+    return { format: 'webp', width, height, loopCount, frames }
+}
+
+/**
+ * 编码动画 WebP
+ * 每帧用浏览器编码为无损 WebP（Chromium 在质量为 1 时输出无损），再组装为 ANMF 帧
+ * @param {Array<{imgdata: ImageData, delay: number}>} frames 帧序列
+ * @param {number} loopCount 循环次数（0 为无限循环）
+ * @returns {Promise<Blob|null>} 浏览器不支持编码 WebP 或编码结果不是无损（VP8L）时返回 null
+ */
+async function encodeAnimatedWebp(frames, loopCount) {
+    const { width, height } = frames[0].imgdata
+    const canvas = createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+
+    let hasAlpha = false
+    const anmfChunks = []
+    for (const { imgdata, delay } of frames) {
+        ctx.putImageData(imgdata, 0, 0)
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 1))
+        if (!blob || blob.type !== 'image/webp') return null
+
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+        const chunks = readWebpChunks(bytes)
+        // 有损编码的帧无法逐像素还原
+        if (!chunks.some(chunk => chunk.type === 'VP8L')) return null
+        const frameChunks = []
+        for (const chunk of chunks) {
+            if (chunk.type !== 'ALPH' && chunk.type !== 'VP8 ' && chunk.type !== 'VP8L') continue
+            frameChunks.push(bytes.subarray(chunk.offset, chunk.offset + 8 + chunk.length + (chunk.length & 1)))
+            if (chunk.type === 'ALPH' || (chunk.type === 'VP8L' && readWebpBitstreamInfo(bytes, chunk).alpha)) hasAlpha = true
+        }
+        // 帧位置 (0, 0)、画面尺寸、延时；标志 0x02 为不混合（直接覆盖上一帧）
+        const header = Uint8Array.of(
+            0, 0, 0, 0, 0, 0,
+            ...uint24Bytes(width - 1), ...uint24Bytes(height - 1),
+            ...uint24Bytes(Math.min(0xFFFFFF, Math.round(delay))), 0x02
+        )
+        anmfChunks.push(createWebpChunk('ANMF', concatBytes([header, ...frameChunks])))
+    }
+
+    // VP8X 标志：0x02 动画、0x10 含透明通道
+    const vp8x = createWebpChunk('VP8X', Uint8Array.of(
+        0x02 | (hasAlpha ? 0x10 : 0), 0, 0, 0, ...uint24Bytes(width - 1), ...uint24Bytes(height - 1)
+    ))
+    // 背景色（BGRA）为透明，循环次数 16 位
+    const anim = createWebpChunk('ANIM', Uint8Array.of(0, 0, 0, 0, loopCount & 0xFF, (loopCount >> 8) & 0xFF))
+    return new Blob([createWebpFile([vp8x, anim, ...anmfChunks])], { type: 'image/webp' })
+}
+
+// ==================== 通用接口 ====================
+
+/**
+ * 检查解码后的帧数据是否过大
+ * @param {number} width 画面宽度
+ * @param {number} height 画面高度
+ * @param {number} frameCount 帧数
+ */
+function checkAnimationSize(width, height, frameCount) {
+    if (width * height * 4 * frameCount > ANIMATION_MAX_BYTES) {
+        throw new Error(`动画过大（${width}×${height}，${frameCount} 帧），无法逐帧处理`)
+    }
+}
+
+/**
+ * 识别动画格式，只有不止一帧时才视为动画
+ * @param {Uint8Array} bytes 文件字节
+ * @returns {string|null} 'gif' | 'apng' | 'webp'，不是动画时返回 null
+ */
+function detectAnimationFormat(bytes) {
+    try {
+        const format = detectImageFormat(bytes)
+        if (format === 'gif') return parseGif(bytes).frames.length > 1 ? 'gif' : null
+        if (format === 'png') return isAnimatedPng(bytes) ? 'apng' : null
+        if (format === 'webp' || format === 'webp-lossless') return isAnimatedWebp(bytes) ? 'webp' : null
+    } catch (err) {
+        console.warn('识别动画格式失败:', err)
+    }
+    return null
+}
+
+/**
+ * 记录载入的图片，是动画时之后的混淆、解混淆逐帧处理
+ * @param {Blob|null} blob 图片文件
+ * @returns {Promise<string|null>} 动画格式，见 detectAnimationFormat
+ */
+async function setAnimationSource(blob) {
+    const format = blob ? detectAnimationFormat(new Uint8Array(await blob.arrayBuffer())) : null
+    animationSource = format ? { blob, format } : null
+    return format
+}
+
+/**
+ * 获取当前载入的动画
+ * @returns {{blob: Blob, format: string}|null}
+ */
+function getAnimationSource() {
+    return animationSource
+}
+
+/**
+ * 解码动画为完整画面的帧序列
+ * @param {Blob} blob 动画文件
+ * @returns {Promise<Object>} { format, width, height, loopCount, frames: [{ imgdata, delay }] }，delay 单位为毫秒
+ */
+async function decodeAnimation(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    const format = detectAnimationFormat(bytes)
+    if (format === 'gif') return decodeGif(bytes)
+    if (format === 'apng') return decodeApng(bytes)
+    if (format === 'webp') return decodeAnimatedWebp(bytes)
+    throw new Error('不是支持的动画格式')
+}
+
+/**
+ * 将帧序列编码为动画，尽量保持原格式
+ * GIF 只能容纳 256 种颜色，某一帧颜色更多（如启用了颜色扩散）时改为 APNG 以保证无损；
+ * 浏览器不支持无损编码 WebP 时同样改为 APNG
+ * @param {Object} animation 解码得到的动画，用于格式和循环次数
+ * @param {Array<{imgdata: ImageData, delay: number}>} frames 处理后的帧序列
+ * @returns {Promise<Blob>}
+ */
+async function encodeAnimation(animation, frames) {
+    if (animation.format === 'gif') {
+        const blob = encodeGif(frames, animation.loopCount)
+        if (blob) return blob
+        console.warn('帧颜色超过 256 种，GIF 无法无损保存，已改为 APNG')
+    } else if (animation.format === 'webp') {
+        const blob = await encodeAnimatedWebp(frames, animation.loopCount)
+        if (blob) return blob
+        console.warn('浏览器不支持无损编码 WebP，已改为 APNG')
+    }
+    return encodeApng(frames, toPlayCount(animation))
+}
+
+/**
+ * 换算为 APNG 的播放次数
+ * GIF 的循环扩展记录的是重复次数，没有该扩展时只播放一次
+ * @param {Object} animation 解码得到的动画
+ * @returns {number} 0 为无限循环
+ */
+function toPlayCount(animation) {
+    if (animation.format !== 'gif') return animation.loopCount
+    if (animation.loopCount === null) return 1
+    return animation.loopCount === 0 ? 0 : animation.loopCount + 1
+}
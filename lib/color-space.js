@@ -0,0 +1,109 @@
+/**
+ * 色彩空间处理库
+ * 带 ICC 配置的图片按配置的色彩空间读取像素：画布支持该色彩空间（sRGB、Display P3）时用对应色彩空间的画布绘制，
+ * 否则（如 Adobe RGB）去掉配置后绘制，像素保持文件中的原始数值；输出时再写回原配置，颜色与原图一致
+ */
+
+// 画布支持的色彩空间在 ICC 配置中的三原色（rXYZ、gXYZ、bXYZ 标签，D50 白点）
+const CANVAS_COLOR_SPACE_PRIMARIES = {
+    'srgb': [[0.4361, 0.2225, 0.0139], [0.3851, 0.7169, 0.0971], [0.1431, 0.0606, 0.7141]],
+    'display-p3': [[0.5151, 0.2412, -0.0011], [0.2920, 0.6922, 0.0419], [0.1571, 0.0666, 0.7841]]
+}
+
+// 比较三原色时允许的误差（各厂商的配置数值略有差别）
+const ICC_PRIMARY_TOLERANCE = 0.005
+
+// 浏览器是否支持 Display P3 画布（检测一次后缓存）
+let displayP3Support = null
+
+/**
+ * 读取 ICC 配置中的三原色（矩阵 / TRC 型配置）
+ * @param {Uint8Array} profile ICC 配置
+ * @returns {Array<Array<number>>|null} 红、绿、蓝三原色的 XYZ，配置中没有时返回 null
+ */
+function readIccPrimaries(profile) {
+    const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength)
+    // 128 字节的配置头之后是标签表：4 字节标签数，每项为 4 字节签名、4 字节偏移、4 字节长度
+    const count = view.getUint32(128)
+    const tags = {}
+    for (let i = 0; i < count && 132 + i * 12 + 12 <= profile.length; i++) {
+        const entry = 132 + i * 12
+        tags[String.fromCharCode(...profile.subarray(entry, entry + 4))] = view.getUint32(entry + 4)
+    }
+
+    const primaries = []
+    for (const signature of ['rXYZ', 'gXYZ', 'bXYZ']) {
+        const offset = tags[signature]
+        // XYZType：'XYZ ' 类型签名、4 字节保留，之后为 3 个 s15Fixed16 数值
+        if (offset === undefined || offset + 20 > profile.length) return null
+        primaries.push([0, 1, 2].map(i => view.getInt32(offset + 8 + i * 4) / 65536))
+    }
+    return primaries
+}
+
+/**
+ * 判断 ICC 配置对应的画布色彩空间
+ * 按三原色比较；sRGB 和 Display P3 都使用 sRGB 的传递曲线，不再单独比较
+ * @param {Uint8Array} profile ICC 配置
+ * @returns {string|null} 'srgb' 或 'display-p3'，都不是时返回 null
+ */
+function detectIccColorSpace(profile) {
+    try {
+        const primaries = readIccPrimaries(profile)
+        if (!primaries) return null
+        for (const [colorSpace, reference] of Object.entries(CANVAS_COLOR_SPACE_PRIMARIES)) {
+            const matches = reference.every((xyz, i) => xyz.every((value, j) => Math.abs(value - primaries[i][j]) <= ICC_PRIMARY_TOLERANCE))
+            if (matches) return colorSpace
+        }
+    } catch (err) {
+        console.warn('解析 ICC 配置失败:', err)
+    }
+    return null
+}
+
+/**
+ * 检测浏览器是否支持 Display P3 画布（不支持的浏览器会忽略 colorSpace 参数）
+ * @returns {boolean}
+ */
+function supportsDisplayP3Canvas() {
+    if (displayP3Support === null) {
+        try {
+            const ctx = createElement('canvas').getContext('2d', { colorSpace: 'display-p3' })
+            displayP3Support = !!ctx && typeof ctx.getContextAttributes === 'function' &&
+                ctx.getContextAttributes().colorSpace === 'display-p3'
+        } catch (err) {
+            displayP3Support = false
+        }
+    }
+    return displayP3Support
+}
+
+/**
+ * 按 ICC 配置选择读取像素的画布色彩空间
+ * @param {Uint8Array|null} profile ICC 配置
+ * @returns {string|null} 画布色彩空间，浏览器的画布无法表示该配置时返回 null
+ */
+function getCanvasColorSpace(profile) {
+    if (!profile) return 'srgb'
+    const colorSpace = detectIccColorSpace(profile)
+    if (colorSpace === 'display-p3' && !supportsDisplayP3Canvas()) return null
+    return colorSpace
+}
+
+/**
+ * 准备读取当前图片像素所用的图片和画布色彩空间
+ * 画布无法表示图片的色彩空间时，改为载入去掉配置的图片，像素不做颜色转换，输出时写回原配置即可还原颜色
+ * @param {HTMLImageElement} img 显示的图片元素
+ * @returns {Promise<{image: HTMLImageElement, colorSpace: string}>} 传给 readImageData 等函数的图片和色彩空间
+ */
+async function loadPixelSource(img) {
+    const colorSpace = getCanvasColorSpace(getIccProfile())
+    if (colorSpace) return { image: img, colorSpace }
+
+    const blob = await (await fetch(img.src)).blob()
+    const image = await loadImageFromBlob(await removeIccProfile(blob))
+    // 图片已载入，可以释放对象 URL
+    URL.revokeObjectURL(image.src)
+    console.log('画布不支持图片的色彩空间，按原始数值读取像素')
+    return { image, colorSpace: 'srgb' }
+}
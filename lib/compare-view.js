@@ -0,0 +1,198 @@
+/**
+ * 前后对比视图库
+ * 在图片容器中对比处理前后的图片：拖动分隔线对比同一位置，或切换为左右并排；
+ * 两侧的缩放（滚轮）和平移（拖动）保持同步，双击恢复原始大小
+ */
+
+// 最大缩放倍数
+const COMPARE_MAX_SCALE = 8
+
+// 并排模式下两侧图片的间距
+const COMPARE_GAP = 12
+
+// 对比视图最大高度占窗口高度的比例
+const COMPARE_MAX_HEIGHT_RATIO = 0.6
+
+// 当前打开的对比视图的关闭函数
+let activeCompareClose = null
+
+/**
+ * 是否正在显示对比视图
+ * @returns {boolean}
+ */
+function isCompareActive() {
+    return activeCompareClose !== null
+}
+
+/**
+ * 关闭对比视图
+ */
+function closeCompareView() {
+    if (activeCompareClose) activeCompareClose()
+}
+
+/**
+ * 计算按比例放入指定范围的尺寸
+ * @param {number} width 图片宽度
+ * @param {number} height 图片高度
+ * @param {number} maxWidth 最大宽度
+ * @param {number} maxHeight 最大高度
+ * @returns {{width: number, height: number}}
+ */
+function fitSize(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(maxWidth / width, maxHeight / height, 1)
+    return { width: Math.max(1, Math.floor(width * scale)), height: Math.max(1, Math.floor(height * scale)) }
+}
+
+/**
+ * 在图片容器中打开对比视图
+ * @param {Blob} beforeBlob 处理前的图片
+ * @param {Blob} afterBlob 处理后的图片
+ * @param {HTMLElement} imgContainer 图片容器
+ */
+function openCompareView(beforeBlob, afterBlob, imgContainer) {
+    closeCompareView()
+
+    const container = createElement('div', {
+        className: 'compare-container',
+        html: `<div class="compare-stage">
+            <div class="compare-pane compare-before"><img alt="处理前"><span class="compare-label">处理前</span></div>
+            <div class="compare-pane compare-after"><img alt="处理后"><span class="compare-label">处理后</span></div>
+            <div class="compare-divider"><span class="compare-handle">⇔</span></div>
+        </div>
+        <div class="compare-toolbar">
+            <button type="button" class="compare-toggle">◫ 并排对比</button>
+            <span class="compare-zoom">100%</span>
+            <button type="button" class="compare-reset">⟲ 重置缩放</button>
+        </div>`
+    })
+    const stage = container.querySelector('.compare-stage')
+    const beforePane = container.querySelector('.compare-before')
+    const afterPane = container.querySelector('.compare-after')
+    const divider = container.querySelector('.compare-divider')
+    const images = [beforePane.querySelector('img'), afterPane.querySelector('img')]
+    const urls = [URL.createObjectURL(beforeBlob), URL.createObjectURL(afterBlob)]
+    images[0].src = urls[0]
+    images[1].src = urls[1]
+
+    // 显示模式、分隔线位置（0-1）及共享的缩放平移状态（单位为显示像素）
+    const state = { sideBySide: false, split: 0.5, scale: 1, x: 0, y: 0, paneWidth: 1, paneHeight: 1 }
+
+    const img = getElement('display-img')
+    if (img) img.style.display = 'none'
+    imgContainer.appendChild(container)
+    imgContainer.classList.add('has-image')
+
+    const clampView = () => {
+        state.scale = clampValue(state.scale, 1, COMPARE_MAX_SCALE)
+        state.x = clampValue(state.x, state.paneWidth * (1 - state.scale), 0)
+        state.y = clampValue(state.y, state.paneHeight * (1 - state.scale), 0)
+    }
+
+    const render = () => {
+        clampView()
+        for (const image of images) {
+            image.style.width = `${state.paneWidth}px`
+            image.style.height = `${state.paneHeight}px`
+            image.style.transform = `translate(${state.x}px, ${state.y}px) scale(${state.scale})`
+        }
+        afterPane.style.clipPath = state.sideBySide ? 'none' : `inset(0 0 0 ${state.split * 100}%)`
+        divider.style.left = `${state.split * state.paneWidth}px`
+        setText(container.querySelector('.compare-zoom'), `${Math.round(state.scale * 100)}%`)
+    }
+
+    // 以处理后图片的比例确定显示区域，处理前的图片按比例放入同样大小的区域
+    const layout = () => {
+        const reference = images[1].naturalWidth ? images[1] : images[0]
+        if (!reference.naturalWidth) return
+        const available = imgContainer.clientWidth - 40
+        const maxHeight = window.innerHeight * COMPARE_MAX_HEIGHT_RATIO
+        const paneMaxWidth = state.sideBySide ? (available - COMPARE_GAP) / 2 : available
+        const size = fitSize(reference.naturalWidth, reference.naturalHeight, paneMaxWidth, maxHeight)
+        // 尺寸变化时按比例保留缩放位置
+        const ratio = size.width / state.paneWidth
+        state.x *= ratio
+        state.y *= size.height / state.paneHeight
+        state.paneWidth = size.width
+        state.paneHeight = size.height
+
+        stage.classList.toggle('side-by-side', state.sideBySide)
+        stage.style.width = `${state.sideBySide ? size.width * 2 + COMPARE_GAP : size.width}px`
+        stage.style.height = `${size.height}px`
+        for (const pane of [beforePane, afterPane]) {
+            pane.style.width = `${size.width}px`
+            pane.style.height = `${size.height}px`
+        }
+        afterPane.style.left = state.sideBySide ? `${size.width + COMPARE_GAP}px` : '0'
+        render()
+    }
+
+    // 指针在所在图片区域内的坐标
+    const panePoint = (e) => {
+        const bounds = stage.getBoundingClientRect()
+        let x = e.clientX - bounds.left
+        if (state.sideBySide && x > state.paneWidth) x -= state.paneWidth + COMPARE_GAP
+        return { x, y: e.clientY - bounds.top }
+    }
+
+    let drag = null
+    stage.addEventListener('pointerdown', (e) => {
+        e.preventDefault()
+        stage.setPointerCapture(e.pointerId)
+        drag = e.target.closest('.compare-divider')
+            ? { mode: 'split' }
+            : { mode: 'pan', fromX: e.clientX, fromY: e.clientY, x: state.x, y: state.y }
+    })
+    stage.addEventListener('pointermove', (e) => {
+        if (!drag) return
+        if (drag.mode === 'split') {
+            state.split = clampValue(panePoint(e).x / state.paneWidth, 0, 1)
+        } else {
+            state.x = drag.x + e.clientX - drag.fromX
+            state.y = drag.y + e.clientY - drag.fromY
+        }
+        render()
+    })
+    const endDrag = () => {
+        drag = null
+    }
+    stage.addEventListener('pointerup', endDrag)
+    stage.addEventListener('pointercancel', endDrag)
+
+    // 以指针位置为中心缩放
+    stage.addEventListener('wheel', (e) => {
+        e.preventDefault()
+        const point = panePoint(e)
+        const scale = clampValue(state.scale * Math.pow(1.1, -e.deltaY / 100), 1, COMPARE_MAX_SCALE)
+        state.x = point.x - (point.x - state.x) * scale / state.scale
+        state.y = point.y - (point.y - state.y) * scale / state.scale
+        state.scale = scale
+        render()
+    }, { passive: false })
+
+    const resetView = () => {
+        state.scale = 1
+        state.x = 0
+        state.y = 0
+        render()
+    }
+    stage.addEventListener('dblclick', resetView)
+    container.querySelector('.compare-reset').addEventListener('click', resetView)
+
+    const toggle = container.querySelector('.compare-toggle')
+    toggle.addEventListener('click', () => {
+        state.sideBySide = !state.sideBySide
+        setText(toggle, state.sideBySide ? '⇔ 滑动对比' : '◫ 并排对比')
+        layout()
+    })
+
+    images.forEach(image => image.addEventListener('load', layout))
+    window.addEventListener('resize', layout)
+
+    activeCompareClose = () => {
+        activeCompareClose = null
+        window.removeEventListener('resize', layout)
+        urls.forEach(url => URL.revokeObjectURL(url))
+        container.remove()
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * 兼容其他图片混淆工具的算法
+ * 注册到 crypto-utils.js 的算法注册表中，可在界面上直接选择用于解混淆（也支持混淆）。
+ * 这些工具使用各自的密钥格式，直接使用用户输入的原始密钥（params.key），不经过 PBKDF2。
+ *
+ * - 方块混淆 / 逐像素混淆：PicEncrypt 一类工具，用 md5(密钥 + i) 洗牌得到行列排列
+ * - 行像素混淆 / 行+列像素混淆：以 Logistic 混沌序列排序得到每行（每列）的像素排列，密钥为 0~1 之间的小数
+ * - 小番茄及其衍生工具使用的就是本工具默认的 Hilbert 曲线算法（无密钥），直接选择默认算法即可
+ */
+
+// PicEncrypt 方块混淆的方块网格（横向、纵向的方块数）
+const PICENCRYPT_GRID = 32
+
+// Logistic 映射参数及未输入密钥时的默认初值
+const LOGISTIC_MU = 3.9999999
+const LOGISTIC_DEFAULT_KEY = 0.666
+
+// MD5 每步的循环左移位数和常量表
+const MD5_S = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+]
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296) | 0)
+
+/**
+ * 计算字符串的 MD5（UTF-8 编码），Web Crypto 不提供 MD5，这里自行实现
+ * @param {string} text 输入字符串
+ * @returns {string} 32 位十六进制摘要
+ */
+function md5Hex(text) {
+    const bytes = new TextEncoder().encode(text)
+    const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6
+    const buffer = new Uint8Array(paddedLength)
+    buffer.set(bytes)
+    buffer[bytes.length] = 0x80
+    const view = new DataView(buffer.buffer)
+    const bitLength = bytes.length * 8
+    view.setUint32(paddedLength - 8, bitLength >>> 0, true)
+    view.setUint32(paddedLength - 4, Math.floor(bitLength / 4294967296), true)
+
+    let a0 = 0x67452301, b0 = 0xEFCDAB89, c0 = 0x98BADCFE, d0 = 0x10325476
+    const words = new Uint32Array(16)
+
+    for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+        for (let i = 0; i < 16; i++) words[i] = view.getUint32(chunk + i * 4, true)
+        let a = a0, b = b0, c = c0, d = d0
+
+        for (let i = 0; i < 64; i++) {
+            let f, g
+            if (i < 16) {
+                f = (b & c) | (~b & d)
+                g = i
+            } else if (i < 32) {
+                f = (d & b) | (~d & c)
+                g = (5 * i + 1) % 16
+            } else if (i < 48) {
+                f = b ^ c ^ d
+                g = (3 * i + 5) % 16
+            } else {
+                f = c ^ (b | ~d)
+                g = (7 * i) % 16
+            }
+            const t = d
+            d = c
+            c = b
+            const sum = (a + f + MD5_K[i] + words[g]) | 0
+            b = (b + ((sum << MD5_S[i]) | (sum >>> (32 - MD5_S[i])))) | 0
+            a = t
+        }
+
+        a0 = (a0 + a) | 0
+        b0 = (b0 + b) | 0
+        c0 = (c0 + c) | 0
+        d0 = (d0 + d) | 0
+    }
+
+    const out = new DataView(new ArrayBuffer(16))
+    out.setUint32(0, a0, true)
+    out.setUint32(4, b0, true)
+    out.setUint32(8, c0, true)
+    out.setUint32(12, d0, true)
+    return Array.from(new Uint8Array(out.buffer), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * PicEncrypt 的洗牌函数：第 i 步与 md5(密钥 + i) 前 7 位十六进制对 (i + 1) 取模的位置交换
+ * @param {number} length 排列长度
+ * @param {string} key 密钥
+ * @returns {Uint32Array}
+ */
+function picEncryptShuffle(length, key) {
+    const arr = new Uint32Array(length)
+    for (let i = 0; i < length; i++) arr[i] = i
+    for (let i = length - 1; i > 0; i--) {
+        const j = parseInt(md5Hex(key + i).substr(0, 7), 16) % (i + 1)
+        const t = arr[i]
+        arr[i] = arr[j]
+        arr[j] = t
+    }
+    return arr
+}
+
+/**
+ * PicEncrypt 方块/逐像素混淆
+ * 输出像素 (i, j) 取自源像素 (m, n)：先按方块行错位并置换列方块，再按方块列错位并置换行方块
+ * 逐像素混淆即方块边长为 1 的特例
+ * @param {ImageData} imgdata 源像素数据
+ * @param {string} key 密钥
+ * @param {number} sx 横向方块数
+ * @param {number} sy 纵向方块数
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {Function} [onProgress] 进度回调
+ * @returns {ImageData}
+ */
+function picEncryptScramble(imgdata, key, sx, sy, inverse, onProgress) {
+    const width = imgdata.width
+    const height = imgdata.height
+    if (width % sx || height % sy) {
+        throw new Error(`该算法要求宽高分别是 ${sx}、${sy} 的倍数（原工具会先拉伸图片），当前为 ${width}×${height}`)
+    }
+
+    const ssx = width / sx
+    const ssy = height / sy
+    const xl = picEncryptShuffle(sx, key)
+    const yl = picEncryptShuffle(sy, key)
+    const src = pixelView(imgdata)
+    const imgdata2 = new ImageData(width, height)
+    const dst = pixelView(imgdata2)
+
+    for (let j = 0; j < height; j++) {
+        if (onProgress && (j & 0xFF) === 0) onProgress(j / height)
+        for (let i = 0; i < width; i++) {
+            let m = (xl[Math.floor(j / ssy) % sx] * ssx + i) % width
+            m = xl[Math.floor(m / ssx)] * ssx + m % ssx
+            let n = (yl[Math.floor(m / ssx) % sy] * ssy + j) % height
+            n = yl[Math.floor(n / ssy)] * ssy + n % ssy
+            if (inverse) {
+                dst[m + n * width] = src[i + j * width]
+            } else {
+                dst[i + j * width] = src[m + n * width]
+            }
+        }
+    }
+    return imgdata2
+}
+
+/**
+ * 解析 Logistic 类工具的密钥（0~1 之间的小数）
+ * @param {string} key 用户输入
+ * @returns {number}
+ */
+function parseLogisticKey(key) {
+    if (!key) return LOGISTIC_DEFAULT_KEY
+    const value = parseFloat(key)
+    if (!(value > 0 && value < 1)) throw new Error('该算法的密钥应为 0 到 1 之间的小数，例如 0.666')
+    return value
+}
+
+/**
+ * 由 Logistic 序列排序得到一个排列，并返回序列最后一个值用于下一行（列）
+ * @param {number} x 初值
+ * @param {number} length 长度
+ * @returns {{order: Uint32Array, last: number}}
+ */
+function logisticOrder(x, length) {
+    const values = new Float64Array(length)
+    values[0] = x
+    for (let i = 1; i < length; i++) {
+        x = LOGISTIC_MU * x * (1 - x)
+        values[i] = x
+    }
+    const order = Uint32Array.from({ length }, (_, i) => i)
+    order.sort((a, b) => values[a] - values[b])
+    return { order, last: values[length - 1] }
+}
+
+/**
+ * Logistic 行（+列）像素混淆
+ * 每行按 Logistic 序列排序得到的排列重排像素，序列在行与行之间连续；
+ * 行+列模式在行之后继续用同一条序列逐列重排
+ * @param {ImageData} imgdata 源像素数据
+ * @param {string} key 密钥
+ * @param {boolean} withColumns 是否同时置乱列
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {Function} [onProgress] 进度回调
+ * @returns {ImageData}
+ */
+function logisticScramble(imgdata, key, withColumns, inverse, onProgress) {
+    const width = imgdata.width
+    const height = imgdata.height
+    let x = parseLogisticKey(key)
+
+    // 加密和解密都要按相同顺序生成序列，先全部算出
+    const rowOrders = []
+    for (let j = 0; j < height; j++) {
+        const { order, last } = logisticOrder(x, width)
+        rowOrders.push(order)
+        x = last
+    }
+    const columnOrders = []
+    if (withColumns) {
+        for (let i = 0; i < width; i++) {
+            const { order, last } = logisticOrder(x, height)
+            columnOrders.push(order)
+            x = last
+        }
+    }
+    if (onProgress) onProgress(0.5)
+
+    const src = pixelView(imgdata)
+    const imgdata2 = new ImageData(width, height)
+    const dst = pixelView(imgdata2)
+
+    const permuteRows = (from, to) => {
+        for (let j = 0; j < height; j++) {
+            const order = rowOrders[j]
+            const row = j * width
+            for (let i = 0; i < width; i++) {
+                if (inverse) {
+                    to[row + order[i]] = from[row + i]
+                } else {
+                    to[row + i] = from[row + order[i]]
+                }
+            }
+        }
+    }
+    const permuteColumns = (from, to) => {
+        for (let i = 0; i < width; i++) {
+            const order = columnOrders[i]
+            for (let j = 0; j < height; j++) {
+                if (inverse) {
+                    to[order[j] * width + i] = from[j * width + i]
+                } else {
+                    to[j * width + i] = from[order[j] * width + i]
+                }
+            }
+        }
+    }
+
+    if (!withColumns) {
+        permuteRows(src, dst)
+    } else if (!inverse) {
+        const tmp = new Uint32Array(src.length)
+        permuteRows(src, tmp)
+        permuteColumns(tmp, dst)
+    } else {
+        const tmp = new Uint32Array(src.length)
+        permuteColumns(src, tmp)
+        permuteRows(tmp, dst)
+    }
+    return imgdata2
+}
+
+registerScrambleAlgorithm({
+    id: 'picencrypt-block',
+    name: '方块混淆（PicEncrypt 类）',
+    group: '兼容其他工具',
+    description: `兼容 PicEncrypt 类工具的方块混淆（${PICENCRYPT_GRID}×${PICENCRYPT_GRID} 方块），密钥为任意字符串`,
+    keyHint: '原工具中的密钥字符串',
+    encrypt: (imgdata, params) => picEncryptScramble(imgdata, params.key || '', PICENCRYPT_GRID, PICENCRYPT_GRID, false, params.onProgress),
+    decrypt: (imgdata, params) => picEncryptScramble(imgdata, params.key || '', PICENCRYPT_GRID, PICENCRYPT_GRID, true, params.onProgress)
+})
+
+registerScrambleAlgorithm({
+    id: 'picencrypt-pixel',
+    name: '逐像素混淆（PicEncrypt 类）',
+    group: '兼容其他工具',
+    description: '兼容 PicEncrypt 类工具的逐像素混淆，密钥为任意字符串',
+    keyHint: '原工具中的密钥字符串',
+    encrypt: (imgdata, params) => picEncryptScramble(imgdata, params.key || '', imgdata.width, imgdata.height, false, params.onProgress),
+    decrypt: (imgdata, params) => picEncryptScramble(imgdata, params.key || '', imgdata.width, imgdata.height, true, params.onProgress)
+})
+
+registerScrambleAlgorithm({
+    id: 'logistic-row',
+    name: '行像素混淆（Logistic）',
+    group: '兼容其他工具',
+    description: `兼容按行 Logistic 混沌序列置乱的工具，密钥为 0~1 之间的小数（默认 ${LOGISTIC_DEFAULT_KEY}）`,
+    keyHint: `0~1 之间的小数，默认 ${LOGISTIC_DEFAULT_KEY}`,
+    encrypt: (imgdata, params) => logisticScramble(imgdata, params.key, false, false, params.onProgress),
+    decrypt: (imgdata, params) => logisticScramble(imgdata, params.key, false, true, params.onProgress)
+})
+
+registerScrambleAlgorithm({
+    id: 'logistic-rowcol',
+    name: '行+列像素混淆（Logistic）',
+    group: '兼容其他工具',
+    description: `兼容按行、列 Logistic 混沌序列置乱的工具，密钥为 0~1 之间的小数（默认 ${LOGISTIC_DEFAULT_KEY}）`,
+    keyHint: `0~1 之间的小数，默认 ${LOGISTIC_DEFAULT_KEY}`,
+    encrypt: (imgdata, params) => logisticScramble(imgdata, params.key, true, false, params.onProgress),
+    decrypt: (imgdata, params) => logisticScramble(imgdata, params.key, true, true, params.onProgress)
+})
@@ -0,0 +1,200 @@
+/**
+ * 手动框选区域库
+ * 在显示中的图片上叠加可拖动、可调整大小的选框，自动定位混淆区域失败时由用户手动指定
+ */
+
+// 选框的最小边长（图片像素）
+const CROP_MIN_SIZE = 8
+
+// 当前打开的框选层的关闭函数，参数为确认的选框或 null
+let activeCropClose = null
+
+/**
+ * 是否正在框选
+ * @returns {boolean}
+ */
+function isCropActive() {
+    return activeCropClose !== null
+}
+
+/**
+ * 取消正在进行的框选
+ */
+function closeCropOverlay() {
+    if (activeCropClose) activeCropClose(null)
+}
+
+/**
+ * 把数值限制在范围内
+ * @param {number} value 数值
+ * @param {number} min 最小值
+ * @param {number} max 最大值
+ * @returns {number}
+ */
+function clampValue(value, min, max) {
+    return Math.min(Math.max(value, min), max)
+}
+
+/**
+ * 根据拖动的控制点和指针位置计算新选框
+ * @param {Object} start 开始拖动时的选框 {x, y, width, height}
+ * @param {string} mode 'move' | 'draw' | 控制点方位 'nw' | 'ne' | 'sw' | 'se'
+ * @param {Object} from 开始拖动时的指针位置（图片像素）
+ * @param {Object} to 当前指针位置（图片像素）
+ * @param {number} width 图片宽度
+ * @param {number} height 图片高度
+ * @returns {Object} 新选框
+ */
+function dragCropRect(start, mode, from, to, width, height) {
+    if (mode === 'move') {
+        return {
+            x: clampValue(start.x + to.x - from.x, 0, width - start.width),
+            y: clampValue(start.y + to.y - from.y, 0, height - start.height),
+            width: start.width,
+            height: start.height
+        }
+    }
+
+    const px = clampValue(to.x, 0, width)
+    const py = clampValue(to.y, 0, height)
+    if (mode === 'draw') {
+        return {
+            x: Math.min(from.x, px),
+            y: Math.min(from.y, py),
+            width: Math.abs(px - from.x),
+            height: Math.abs(py - from.y)
+        }
+    }
+
+    let left = start.x
+    let top = start.y
+    let right = start.x + start.width
+    let bottom = start.y + start.height
+    if (mode.includes('w')) left = Math.min(px, right - CROP_MIN_SIZE)
+    if (mode.includes('e')) right = Math.max(px, left + CROP_MIN_SIZE)
+    if (mode.includes('n')) top = Math.min(py, bottom - CROP_MIN_SIZE)
+    if (mode.includes('s')) bottom = Math.max(py, top + CROP_MIN_SIZE)
+
+    left = clampValue(left, 0, width)
+    top = clampValue(top, 0, height)
+    right = clampValue(right, 0, width)
+    bottom = clampValue(bottom, 0, height)
+    return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
+/**
+ * 在图片上打开框选层，等待用户确认或取消
+ * 可拖动选框移动、拖动四角调整大小，或在选框外拖动重新框选；按 Enter 确认，Esc 取消
+ * @param {HTMLImageElement} img 显示中的图片元素
+ * @param {HTMLElement} imgContainer 图片容器
+ * @param {Object|null} initialRect 初始选框（图片像素坐标 {x, y, width, height}），为 null 时选中整张图片
+ * @returns {Promise<Object|null>} 确认时返回选框（图片像素坐标），取消时返回 null
+ */
+function openCropOverlay(img, imgContainer, initialRect = null) {
+    closeCropOverlay()
+
+    const width = img.naturalWidth
+    const height = img.naturalHeight
+    let rect = initialRect ? { ...initialRect } : { x: 0, y: 0, width, height }
+
+    const overlay = createElement('div', { className: 'crop-overlay' })
+    const box = createElement('div', { className: 'crop-box' })
+    for (const handle of ['nw', 'ne', 'sw', 'se']) {
+        const el = createElement('div', { className: `crop-handle crop-handle-${handle}` })
+        el.dataset.handle = handle
+        box.appendChild(el)
+    }
+    const toolbar = createElement('div', {
+        className: 'crop-toolbar',
+        html: `<span class="crop-size"></span>
+        <button type="button" class="crop-confirm">✔ 解混淆此区域</button>
+        <button type="button" class="crop-cancel">✖ 取消</button>`
+    })
+    overlay.appendChild(box)
+    imgContainer.appendChild(overlay)
+    imgContainer.appendChild(toolbar)
+    imgContainer.classList.add('cropping')
+
+    // 框选层与图片的显示区域重合
+    const place = () => {
+        const imgBox = img.getBoundingClientRect()
+        const containerBox = imgContainer.getBoundingClientRect()
+        overlay.style.left = `${imgBox.left - containerBox.left - imgContainer.clientLeft}px`
+        overlay.style.top = `${imgBox.top - containerBox.top - imgContainer.clientTop}px`
+        overlay.style.width = `${imgBox.width}px`
+        overlay.style.height = `${imgBox.height}px`
+    }
+
+    // 选框用百分比定位，缩放窗口时无需重新计算
+    const render = () => {
+        box.style.left = `${rect.x / width * 100}%`
+        box.style.top = `${rect.y / height * 100}%`
+        box.style.width = `${rect.width / width * 100}%`
+        box.style.height = `${rect.height / height * 100}%`
+        setText(toolbar.querySelector('.crop-size'), `${rect.width}×${rect.height}（${rect.x}, ${rect.y}）`)
+    }
+
+    // 指针位置换算为图片像素坐标
+    const toImagePoint = (e) => {
+        const bounds = overlay.getBoundingClientRect()
+        return {
+            x: Math.round((e.clientX - bounds.left) / bounds.width * width),
+            y: Math.round((e.clientY - bounds.top) / bounds.height * height)
+        }
+    }
+
+    let drag = null
+    overlay.addEventListener('pointerdown', (e) => {
+        e.preventDefault()
+        const handle = e.target.dataset.handle
+        drag = {
+            mode: handle || (e.target === box ? 'move' : 'draw'),
+            from: toImagePoint(e),
+            start: { ...rect }
+        }
+        overlay.setPointerCapture(e.pointerId)
+    })
+    overlay.addEventListener('pointermove', (e) => {
+        if (!drag) return
+        const next = dragCropRect(drag.start, drag.mode, drag.from, toImagePoint(e), width, height)
+        // 新框选太小时视为误触，保持原选框
+        if (drag.mode === 'draw' && (next.width < CROP_MIN_SIZE || next.height < CROP_MIN_SIZE)) return
+        rect = next
+        render()
+    })
+    const endDrag = () => {
+        drag = null
+    }
+    overlay.addEventListener('pointerup', endDrag)
+    overlay.addEventListener('pointercancel', endDrag)
+
+    return new Promise(resolve => {
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                close(null)
+            } else if (e.key === 'Enter') {
+                e.preventDefault()
+                close(rect)
+            }
+        }
+
+        const close = (result) => {
+            activeCropClose = null
+            window.removeEventListener('resize', place)
+            document.removeEventListener('keydown', onKeyDown)
+            overlay.remove()
+            toolbar.remove()
+            imgContainer.classList.remove('cropping')
+            resolve(result)
+        }
+
+        toolbar.querySelector('.crop-confirm').addEventListener('click', () => close(rect))
+        toolbar.querySelector('.crop-cancel').addEventListener('click', () => close(null))
+        window.addEventListener('resize', place)
+        document.addEventListener('keydown', onKeyDown)
+        activeCropClose = close
+
+        place()
+        render()
+    })
+}
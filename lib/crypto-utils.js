@@ -1,6 +1,7 @@
 /**
  * 加密解密工具库
- * 使用Hilbert曲线进行像素混淆
+ * 通过算法注册表提供多种像素混淆方案：Hilbert 曲线（默认）、JPEG 网格分块、
+ * Morton（Z 序）曲线、Arnold 猫映射、行列置乱
  */
 
 // Hilbert曲线算法实现
@@ -11,17 +12,77 @@ function gilbert2d(width, height) {
      * of size (width x height).
      */
     const coordinates = [];
+    walkGilbert2d(width, height, (x, y) => coordinates.push([x, y]));
+    return coordinates;
+}
+
+/**
+ * 生成 Hilbert 曲线的线性下标序列（x + y * width）
+ * 与 gilbert2d 顺序相同，但直接写入 Uint32Array，避免创建数百万个坐标数组
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {Uint32Array}
+ */
+function gilbert2dIndices(width, height) {
+    const indices = new Uint32Array(width * height)
+    let n = 0
+    walkGilbert2d(width, height, (x, y) => {
+        indices[n++] = x + y * width
+    })
+    return indices
+}
 
+/**
+ * 按 Hilbert 曲线顺序遍历矩形内的所有坐标
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @param {Function} emit 每个坐标的回调 (x, y)
+ */
+function walkGilbert2d(width, height, emit) {
     if (width >= height) {
-        generate2d(0, 0, width, 0, 0, height, coordinates);
+        generate2d(0, 0, width, 0, 0, height, emit);
     } else {
-        generate2d(0, 0, 0, height, width, 0, coordinates);
+        generate2d(0, 0, 0, height, width, 0, emit);
     }
+}
 
-    return coordinates;
+/**
+ * 生成 Morton（Z 序）曲线的线性下标序列
+ * 在 2 的幂次补齐后的矩形上按位交织遍历，并跳过超出图片范围的坐标
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {Uint32Array}
+ */
+function mortonIndices(width, height) {
+    const bitsX = Math.ceil(Math.log2(width))
+    const bitsY = Math.ceil(Math.log2(height))
+    const common = Math.min(bitsX, bitsY)
+    const restScale = 2 ** (2 * common)
+    const total = 2 ** (bitsX + bitsY)
+    const indices = new Uint32Array(width * height)
+    let n = 0
+
+    for (let code = 0; code < total; code++) {
+        let x = 0
+        let y = 0
+        // 低位部分两个坐标的位交替排列
+        for (let b = 0; b < common; b++) {
+            x |= ((code >>> (2 * b)) & 1) << b
+            y |= ((code >>> (2 * b + 1)) & 1) << b
+        }
+        // 较长一边多出的高位直接拼接
+        const rest = Math.floor(code / restScale)
+        if (bitsX > bitsY) {
+            x += rest * (1 << common)
+        } else {
+            y += rest * (1 << common)
+        }
+        if (x < width && y < height) indices[n++] = x + y * width
+    }
+    return indices
 }
 
-function generate2d(x, y, ax, ay, bx, by, coordinates) {
+function generate2d(x, y, ax, ay, bx, by, emit) {
     const w = Math.abs(ax + ay);
     const h = Math.abs(bx + by);
 
@@ -31,7 +92,7 @@ function generate2d(x, y, ax, ay, bx, by, coordinates) {
     if (h === 1) {
         // trivial row fill
         for (let i = 0; i < w; i++) {
-            coordinates.push([x, y]);
+            emit(x, y);
             x += dax;
             y += day;
         }
@@ -41,7 +102,7 @@ function generate2d(x, y, ax, ay, bx, by, coordinates) {
     if (w === 1) {
         // trivial column fill
         for (let i = 0; i < h; i++) {
-            coordinates.push([x, y]);
+            emit(x, y);
             x += dbx;
             y += dby;
         }
@@ -62,8 +123,8 @@ function generate2d(x, y, ax, ay, bx, by, coordinates) {
         }
 
         // long case: split in two parts only
-        generate2d(x, y, ax2, ay2, bx, by, coordinates);
-        generate2d(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by, coordinates);
+        generate2d(x, y, ax2, ay2, bx, by, emit);
+        generate2d(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by, emit);
 
     } else {
         if ((h2 % 2) && (h > 2)) {
@@ -73,42 +134,1202 @@ function generate2d(x, y, ax, ay, bx, by, coordinates) {
         }
 
         // standard case: one step up, one long horizontal, one step down
-        generate2d(x, y, bx2, by2, ax2, ay2, coordinates);
-        generate2d(x + bx2, y + by2, ax, ay, bx - bx2, by - by2, coordinates);
+        generate2d(x, y, bx2, by2, ax2, ay2, emit);
+        generate2d(x + bx2, y + by2, ax, ay, bx - bx2, by - by2, emit);
         generate2d(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby),
-            -bx2, -by2, -(ax - ax2), -(ay - ay2), coordinates);
+            -bx2, -by2, -(ax - ax2), -(ay - ay2), emit);
+    }
+}
+
+// 密钥派生参数（修改后已有的带密钥图片将无法解密）
+const KEY_DERIVE_SALT = 'iead-scramble-v1'
+const KEY_DERIVE_ITERATIONS = 100000
+
+// 最近一次派生结果缓存
+const keyWordsCache = { passphrase: null, promise: null }
+
+/**
+ * 使用 PBKDF2 从密钥派生混淆参数
+ * @param {string} passphrase 密钥
+ * @returns {Promise<Uint32Array|null>} 8 个 32 位参数字，未提供密钥时返回 null
+ */
+async function deriveKeyWords(passphrase) {
+    if (!passphrase) return null
+    // PBKDF2 较慢，同一密钥在签名和混淆中会用到多次，缓存最近一次的结果
+    if (keyWordsCache.passphrase !== passphrase) {
+        keyWordsCache.passphrase = passphrase
+        keyWordsCache.promise = deriveKeyWordsUncached(passphrase)
+        keyWordsCache.promise.catch(() => { keyWordsCache.passphrase = null })
+    }
+    return keyWordsCache.promise
+}
+
+/**
+ * 实际执行 PBKDF2 派生
+ * @param {string} passphrase 密钥
+ * @returns {Promise<Uint32Array>}
+ */
+async function deriveKeyWordsUncached(passphrase) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('当前浏览器不支持 Web Crypto，无法使用密钥')
+    }
+
+    const encoder = new TextEncoder()
+    const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits'])
+    const bits = await crypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        salt: encoder.encode(KEY_DERIVE_SALT),
+        iterations: KEY_DERIVE_ITERATIONS,
+        hash: 'SHA-256'
+    }, baseKey, 256)
+
+    // 按大端读取，保证不同平台得到相同的参数
+    const view = new DataView(bits)
+    const words = new Uint32Array(8)
+    for (let i = 0; i < words.length; i++) {
+        words[i] = view.getUint32(i * 4, false)
+    }
+    return words
+}
+
+/**
+ * 计算密钥校验值，写入签名用于在解密前判断密钥是否正确
+ * 校验值由派生参数再做一次 SHA-256 得到，无法反推出密钥
+ * @param {Uint32Array} keyWords 密钥派生参数
+ * @returns {Promise<string>} 8 位十六进制字符串
+ */
+async function computeKeyCheck(keyWords) {
+    const bytes = new Uint8Array(keyWords.length * 4)
+    const view = new DataView(bytes.buffer)
+    keyWords.forEach((word, i) => view.setUint32(i * 4, word, false))
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+    return Array.from(digest.slice(0, 4), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * 计算每一轮混淆使用的曲线方向和偏移量
+ * 无密钥时只有一轮：原始方向 + 黄金分割偏移，与旧版本输出完全一致
+ * @param {number} width 图片宽度
+ * @param {number} height 图片高度
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @returns {Array<{orientation: number, offset: number}>}
+ */
+function getScrambleRounds(width, height, keyWords) {
+    const total = width * height
+    if (!keyWords) {
+        return [{ orientation: 0, offset: Math.round((Math.sqrt(5) - 1) / 2 * total) }]
+    }
+
+    // 基础一轮 + 最多两轮额外混淆
+    const count = 1 + keyWords[0] % 3
+    const rounds = []
+    for (let r = 0; r < count; r++) {
+        rounds.push({
+            orientation: keyWords[1 + 2 * r] & 3,
+            // 偏移量避开 0，否则该轮等于没有混淆
+            offset: total > 1 ? 1 + keyWords[2 + 2 * r] % (total - 1) : 0
+        })
+    }
+    return rounds
+}
+
+/**
+ * 创建按字节数限制容量的 LRU 缓存
+ * @param {number} maxBytes 最大占用字节数（至少保留最近的一项）
+ * @returns {Object} {get, set, clear}
+ */
+function createLruCache(maxBytes) {
+    const entries = new Map()
+    let totalBytes = 0
+
+    return {
+        get(key) {
+            const value = entries.get(key)
+            if (value) {
+                // 重新插入，标记为最近使用
+                entries.delete(key)
+                entries.set(key, value)
+            }
+            return value
+        },
+        set(key, value) {
+            if (entries.has(key)) {
+                totalBytes -= entries.get(key).byteLength
+                entries.delete(key)
+            }
+            entries.set(key, value)
+            totalBytes += value.byteLength
+            for (const [oldKey, oldValue] of entries) {
+                if (totalBytes <= maxBytes || entries.size <= 1) break
+                entries.delete(oldKey)
+                totalBytes -= oldValue.byteLength
+            }
+        },
+        clear() {
+            entries.clear()
+            totalBytes = 0
+        }
+    }
+}
+
+// 曲线缓存：同尺寸图片重复处理时无需重新生成曲线（约可容纳一张 64 MP 图片的曲线）
+const curveCache = createLruCache(256 * 1024 * 1024)
+
+/**
+ * 获取指定尺寸和方向的曲线下标序列（带缓存）
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @param {number} orientation 方向（bit0 水平翻转，bit1 垂直翻转）
+ * @param {string} kind 曲线类型 'hilbert' | 'morton'
+ * @returns {Uint32Array}
+ */
+function getCurve(width, height, orientation = 0, kind = 'hilbert') {
+    const key = `${kind}:${width}x${height}:${orientation}`
+    let curve = curveCache.get(key)
+    if (curve) return curve
+
+    if (!orientation) {
+        curve = kind === 'morton' ? mortonIndices(width, height) : gilbert2dIndices(width, height)
+    } else {
+        const base = getCurve(width, height, 0, kind)
+        const flipX = orientation & 1
+        const flipY = orientation & 2
+        curve = new Uint32Array(base.length)
+        for (let i = 0; i < base.length; i++) {
+            let x = base[i] % width
+            let y = (base[i] - x) / width
+            if (flipX) x = width - 1 - x
+            if (flipY) y = height - 1 - y
+            curve[i] = x + y * width
+        }
+    }
+    curveCache.set(key, curve)
+    return curve
+}
+
+/**
+ * 以 32 位整数视图访问像素数据，每个元素对应一个 RGBA 像素
+ * @param {ImageData} imgdata 像素数据
+ * @returns {Uint32Array}
+ */
+function pixelView(imgdata) {
+    return new Uint32Array(imgdata.data.buffer, imgdata.data.byteOffset, imgdata.width * imgdata.height)
+}
+
+// 每处理这么多像素汇报一次进度
+const PROGRESS_CHUNK = 1 << 20
+
+/**
+ * 沿曲线平移所有像素
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Uint32Array} curve 曲线下标序列
+ * @param {number} offset 平移量
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {Function} [onProgress] 进度回调，参数为 0-1 之间的完成比例
+ * @returns {ImageData} 新的像素数据
+ */
+function shiftAlongCurve(imgdata, curve, offset, inverse, onProgress) {
+    const total = imgdata.width * imgdata.height
+    const imgdata2 = new ImageData(imgdata.width, imgdata.height)
+    const src = pixelView(imgdata)
+    const dst = pixelView(imgdata2)
+
+    for (let start = 0; start < total; start += PROGRESS_CHUNK) {
+        if (onProgress) onProgress(start / total)
+        const end = Math.min(start + PROGRESS_CHUNK, total)
+        let j = (start + offset) % total
+        for (let i = start; i < end; i++) {
+            if (inverse) {
+                dst[curve[i]] = src[curve[j]]
+            } else {
+                dst[curve[j]] = src[curve[i]]
+            }
+            if (++j === total) j = 0
+        }
+    }
+
+    return imgdata2
+}
+
+/**
+ * 简单的 32 位伪随机数生成器（mulberry32），用于可复现的随机选择
+ * @param {number} seed 种子
+ * @returns {Function} 每次调用返回 [0, 1) 之间的数
+ */
+function createPrng(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// 无密钥时各算法使用的固定随机种子
+const DEFAULT_TILE_SEED = 0x9E3779B9
+const DEFAULT_ROW_SEED = 0x85EBCA6B
+const DEFAULT_COLUMN_SEED = 0xC2B2AE35
+const DEFAULT_DIFFUSION_SEED = 0x27D4EB2F
+
+// 无密钥时 Arnold 猫映射的迭代次数
+const ARNOLD_DEFAULT_ITERATIONS = 5
+
+/**
+ * 以方块为单位沿曲线平移
+ * 只移动完整的方块，宽高除不尽时右侧和底部的剩余像素保持原位
+ * @param {ImageData} imgdata 源像素数据
+ * @param {number} blockSize 方块边长
+ * @param {Uint32Array} curve 方块网格上的曲线下标序列
+ * @param {number} offset 平移量
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {ImageData} 新的像素数据
+ */
+function shiftTilesAlongCurve(imgdata, blockSize, curve, offset, inverse) {
+    const width = imgdata.width
+    const cols = Math.floor(width / blockSize)
+    const total = curve.length
+    const imgdata2 = new ImageData(width, imgdata.height)
+    const src = pixelView(imgdata)
+    const dst = pixelView(imgdata2)
+    dst.set(src)
+
+    for (let i = 0; i < total; i++) {
+        const old_t = curve[i]
+        const new_t = curve[(i + offset) % total]
+        const from = inverse ? new_t : old_t
+        const to = inverse ? old_t : new_t
+        const fromX = (from % cols) * blockSize
+        const fromY = Math.floor(from / cols) * blockSize
+        const toX = (to % cols) * blockSize
+        const toY = Math.floor(to / cols) * blockSize
+        for (let y = 0; y < blockSize; y++) {
+            const s = (fromY + y) * width + fromX
+            dst.set(src.subarray(s, s + blockSize), (toY + y) * width + toX)
+        }
+    }
+
+    return imgdata2
+}
+
+/**
+ * 对每个方块做随机翻转/旋转（正方形的 8 种对称变换之一）
+ * @param {ImageData} imgdata 源像素数据
+ * @param {number} blockSize 方块边长
+ * @param {number} seed 随机种子
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {ImageData} 新的像素数据
+ */
+function transformTiles(imgdata, blockSize, seed, inverse) {
+    const width = imgdata.width
+    const cols = Math.floor(width / blockSize)
+    const rows = Math.floor(imgdata.height / blockSize)
+    const imgdata2 = new ImageData(width, imgdata.height)
+    const src = pixelView(imgdata)
+    const dst = pixelView(imgdata2)
+    dst.set(src)
+    const random = createPrng(seed)
+    const last = blockSize - 1
+
+    for (let ty = 0; ty < rows; ty++) {
+        for (let tx = 0; tx < cols; tx++) {
+            // bit0 水平翻转，bit1 垂直翻转，bit2 沿对角线转置
+            const t = Math.floor(random() * 8)
+            if (t === 0) continue
+            const base = ty * blockSize * width + tx * blockSize
+            for (let y = 0; y < blockSize; y++) {
+                for (let x = 0; x < blockSize; x++) {
+                    let mx = t & 4 ? y : x
+                    let my = t & 4 ? x : y
+                    if (t & 1) mx = last - mx
+                    if (t & 2) my = last - my
+                    const p = base + y * width + x
+                    const q = base + my * width + mx
+                    if (inverse) {
+                        dst[p] = src[q]
+                    } else {
+                        dst[q] = src[p]
+                    }
+                }
+            }
+        }
+    }
+
+    return imgdata2
+}
+
+/**
+ * 逐像素曲线混淆：所有像素沿空间填充曲线平移
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Object} params 参数 {keyWords, onProgress}
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {string} kind 曲线类型 'hilbert' | 'morton'
+ * @returns {ImageData}
+ */
+function scrambleAlongCurve(imgdata, params, inverse, kind) {
+    const { keyWords, onProgress } = params
+    const width = imgdata.width
+    const height = imgdata.height
+    const rounds = getScrambleRounds(width, height, keyWords)
+    if (inverse) rounds.reverse()
+
+    let data = imgdata
+    rounds.forEach((round, r) => {
+        const roundProgress = onProgress && (p => onProgress((r + p) / rounds.length))
+        data = shiftAlongCurve(data, getCurve(width, height, round.orientation, kind), round.offset, inverse, roundProgress)
+    })
+    return data
+}
+
+/**
+ * 分块混淆：方块按 Hilbert 曲线平移，可选对方块做翻转/旋转
+ * 方块从左上角开始按 8 的倍数对齐，与 JPEG 的 8×8 / 16×16 编码单元重合，
+ * 因此经过有损压缩后仍能干净地还原
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Object} params 参数 {keyWords, blockSize, tileTransform, onProgress}
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {ImageData}
+ */
+function scrambleTiles(imgdata, params, inverse) {
+    const { keyWords, onProgress } = params
+    const blockSize = params.blockSize || 16
+    const cols = Math.floor(imgdata.width / blockSize)
+    const rows = Math.floor(imgdata.height / blockSize)
+    if (cols * rows < 2) throw new Error(`图片太小，无法按 ${blockSize}×${blockSize} 分块混淆`)
+
+    const rounds = getScrambleRounds(cols, rows, keyWords)
+    const seed = keyWords ? keyWords[7] : DEFAULT_TILE_SEED
+
+    // 方块操作很快，按步骤粗略汇报进度
+    const steps = rounds.length + (params.tileTransform ? 1 : 0)
+    let done = 0
+    const step = () => onProgress && onProgress(++done / steps)
+
+    let data = imgdata
+    if (inverse) {
+        if (params.tileTransform) {
+            data = transformTiles(data, blockSize, seed, true)
+            step()
+        }
+        for (const round of rounds.reverse()) {
+            data = shiftTilesAlongCurve(data, blockSize, getCurve(cols, rows, round.orientation), round.offset, true)
+            step()
+        }
+    } else {
+        for (const round of rounds) {
+            data = shiftTilesAlongCurve(data, blockSize, getCurve(cols, rows, round.orientation), round.offset, false)
+            step()
+        }
+        if (params.tileTransform) {
+            data = transformTiles(data, blockSize, seed, false)
+            step()
+        }
+    }
+    return data
+}
+
+/**
+ * Arnold 猫映射混淆
+ * 将猫映射拆成两次错切：先每行循环右移 a·y，再每列循环下移 b·x。
+ * 两步各自都是双射，因此适用于任意宽高；在正方形上 a = b = 1 时即为经典的 (x + y, x + 2y) 猫映射
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Object} params 参数 {keyWords, onProgress}
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {ImageData}
+ */
+function arnoldScramble(imgdata, params, inverse) {
+    const { keyWords, onProgress } = params
+    const width = imgdata.width
+    const height = imgdata.height
+    const iterations = keyWords ? 3 + keyWords[0] % 6 : ARNOLD_DEFAULT_ITERATIONS
+    const a = keyWords && width > 1 ? 1 + keyWords[1] % (width - 1) : 1
+    const b = keyWords && height > 1 ? 1 + keyWords[2] % (height - 1) : 1
+
+    let src = pixelView(imgdata)
+    let tmp = new Uint32Array(src.length)
+    let dst = new Uint32Array(src.length)
+
+    for (let n = 0; n < iterations; n++) {
+        if (onProgress) onProgress(n / iterations)
+        if (!inverse) {
+            // 行错切：x' = x + a·y
+            for (let y = 0; y < height; y++) {
+                const row = y * width
+                const shift = (a * y) % width
+                tmp.set(src.subarray(row, row + width - shift), row + shift)
+                tmp.set(src.subarray(row + width - shift, row + width), row)
+            }
+            // 列错切：y' = y + b·x
+            for (let x = 0; x < width; x++) {
+                const shift = (b * x) % height
+                for (let y = 0; y < height; y++) {
+                    let ny = y + shift
+                    if (ny >= height) ny -= height
+                    dst[ny * width + x] = tmp[y * width + x]
+                }
+            }
+        } else {
+            for (let x = 0; x < width; x++) {
+                const shift = (b * x) % height
+                for (let y = 0; y < height; y++) {
+                    let ny = y + shift
+                    if (ny >= height) ny -= height
+                    tmp[y * width + x] = src[ny * width + x]
+                }
+            }
+            for (let y = 0; y < height; y++) {
+                const row = y * width
+                const shift = (a * y) % width
+                dst.set(tmp.subarray(row + shift, row + width), row)
+                dst.set(tmp.subarray(row, row + shift), row + width - shift)
+            }
+        }
+        // 交换缓冲区，下一轮以本轮结果为输入
+        const done = dst
+        dst = n === 0 ? new Uint32Array(src.length) : src
+        src = done
+    }
+
+    const imgdata2 = new ImageData(width, height)
+    pixelView(imgdata2).set(src)
+    return imgdata2
+}
+
+/**
+ * 用 Fisher-Yates 洗牌生成 0..length-1 的随机排列
+ * @param {Uint32Array} perm 输出数组（长度即排列长度）
+ * @param {Function} random 随机数生成器
+ * @returns {Uint32Array}
+ */
+function shufflePermutation(perm, random) {
+    for (let i = 0; i < perm.length; i++) perm[i] = i
+    for (let i = perm.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1))
+        const t = perm[i]
+        perm[i] = perm[j]
+        perm[j] = t
+    }
+    return perm
+}
+
+/**
+ * 行列置乱：先打乱每一行内的像素顺序，再打乱每一列内的像素顺序
+ * 每行/每列使用不同的随机排列
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Object} params 参数 {keyWords, onProgress}
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {ImageData}
+ */
+function rowColumnScramble(imgdata, params, inverse) {
+    const { keyWords, onProgress } = params
+    const width = imgdata.width
+    const height = imgdata.height
+    // 行和列使用独立的随机序列，解密时可以先处理列
+    const rowRandom = createPrng(keyWords ? keyWords[3] : DEFAULT_ROW_SEED)
+    const columnRandom = createPrng(keyWords ? keyWords[4] : DEFAULT_COLUMN_SEED)
+    const rowPerm = new Uint32Array(width)
+    const columnPerm = new Uint32Array(height)
+
+    const src = pixelView(imgdata)
+    const tmp = new Uint32Array(src.length)
+    const imgdata2 = new ImageData(width, height)
+    const dst = pixelView(imgdata2)
+
+    if (!inverse) {
+        for (let y = 0; y < height; y++) {
+            shufflePermutation(rowPerm, rowRandom)
+            const row = y * width
+            for (let x = 0; x < width; x++) tmp[row + rowPerm[x]] = src[row + x]
+        }
+        if (onProgress) onProgress(0.5)
+        for (let x = 0; x < width; x++) {
+            shufflePermutation(columnPerm, columnRandom)
+            for (let y = 0; y < height; y++) dst[columnPerm[y] * width + x] = tmp[y * width + x]
+        }
+    } else {
+        for (let x = 0; x < width; x++) {
+            shufflePermutation(columnPerm, columnRandom)
+            for (let y = 0; y < height; y++) tmp[y * width + x] = src[columnPerm[y] * width + x]
+        }
+        if (onProgress) onProgress(0.5)
+        for (let y = 0; y < height; y++) {
+            shufflePermutation(rowPerm, rowRandom)
+            const row = y * width
+            for (let x = 0; x < width; x++) dst[row + x] = tmp[row + rowPerm[x]]
+        }
+    }
+    return imgdata2
+}
+
+/**
+ * 混淆算法注册表
+ * 每个算法提供 encrypt(imgdata, params) / decrypt(imgdata, params)，
+ * params 为 {keyWords, blockSize, tileTransform, onProgress}；
+ * usesBlocks 表示算法使用方块大小和方块翻转选项
+ */
+const SCRAMBLE_ALGORITHMS = {}
+
+/**
+ * 注册混淆算法
+ * @param {Object} algorithm 算法 {id, name, description, usesBlocks, encrypt, decrypt}
+ */
+function registerScrambleAlgorithm(algorithm) {
+    SCRAMBLE_ALGORITHMS[algorithm.id] = algorithm
+}
+
+/**
+ * 按 ID 获取混淆算法
+ * @param {string} id 算法 ID
+ * @returns {Object}
+ */
+function getScrambleAlgorithm(id) {
+    const algorithm = SCRAMBLE_ALGORITHMS[id]
+    if (!algorithm) throw new Error(`不支持的混淆算法: ${id}`)
+    return algorithm
+}
+
+/**
+ * 列出所有已注册的混淆算法（按注册顺序）
+ * @returns {Object[]}
+ */
+function listScrambleAlgorithms() {
+    return Object.values(SCRAMBLE_ALGORITHMS)
+}
+
+registerScrambleAlgorithm({
+    id: 'hilbert',
+    name: '逐像素（Hilbert 曲线）',
+    description: '默认算法，无密钥时与旧版本输出一致',
+    encrypt: (imgdata, params) => scrambleAlongCurve(imgdata, params, false, 'hilbert'),
+    decrypt: (imgdata, params) => scrambleAlongCurve(imgdata, params, true, 'hilbert')
+})
+
+registerScrambleAlgorithm({
+    id: 'block',
+    name: '分块（抗 JPEG 压缩）',
+    description: '经聊天软件压缩后也能还原；多数平台使用色度抽样，推荐 16×16',
+    usesBlocks: true,
+    encrypt: (imgdata, params) => scrambleTiles(imgdata, params, false),
+    decrypt: (imgdata, params) => scrambleTiles(imgdata, params, true)
+})
+
+registerScrambleAlgorithm({
+    id: 'morton',
+    name: '逐像素（Morton Z 序曲线）',
+    description: '像素沿 Z 序曲线平移，纹理与 Hilbert 曲线不同',
+    encrypt: (imgdata, params) => scrambleAlongCurve(imgdata, params, false, 'morton'),
+    decrypt: (imgdata, params) => scrambleAlongCurve(imgdata, params, true, 'morton')
+})
+
+registerScrambleAlgorithm({
+    id: 'arnold',
+    name: 'Arnold 猫映射',
+    description: '多轮错切变换，密钥决定迭代次数和错切系数',
+    encrypt: (imgdata, params) => arnoldScramble(imgdata, params, false),
+    decrypt: (imgdata, params) => arnoldScramble(imgdata, params, true)
+})
+
+registerScrambleAlgorithm({
+    id: 'rowcol',
+    name: '行列置乱',
+    description: '先打乱每行内的像素，再打乱每列内的像素',
+    encrypt: (imgdata, params) => rowColumnScramble(imgdata, params, false),
+    decrypt: (imgdata, params) => rowColumnScramble(imgdata, params, true)
+})
+
+// 颜色扩散可选的通道排列：前三种为色相旋转（0°、120°、240°），后三种交换两个通道
+const CHANNEL_PERMUTATIONS = [[0, 1, 2], [1, 2, 0], [2, 0, 1], [0, 2, 1], [2, 1, 0], [1, 0, 2]]
+
+/**
+ * 颜色扩散：逐像素按密钥流排列 RGB 通道并加上随机偏移（模 256）
+ * 置换只移动像素，颜色直方图和平均色仍与原图相同；扩散后直方图接近均匀分布。
+ * 变换对每个像素独立且可逆，无损格式下可以精确还原；有损压缩或缩放后无法还原。
+ * 不完全不透明的像素保持不变，因为画布的预乘 Alpha 会损失其颜色精度
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {ImageData}
+ */
+function diffuseColours(imgdata, keyWords, inverse) {
+    const src = imgdata.data
+    const imgdata2 = new ImageData(new Uint8ClampedArray(src), imgdata.width, imgdata.height)
+    const dst = imgdata2.data
+    const random = createPrng(keyWords ? keyWords[7] ^ DEFAULT_DIFFUSION_SEED : DEFAULT_DIFFUSION_SEED)
+
+    for (let p = 0; p < src.length; p += 4) {
+        // 每个像素取一个 32 位随机数：低 24 位为三个通道的偏移，高 8 位选择通道排列
+        const k = (random() * 4294967296) >>> 0
+        if (src[p + 3] !== 255) continue
+        const perm = CHANNEL_PERMUTATIONS[(k >>> 24) % 6]
+        for (let c = 0; c < 3; c++) {
+            const offset = (k >>> (c * 8)) & 0xFF
+            if (inverse) {
+                dst[p + perm[c]] = (src[p + c] - offset) & 0xFF
+            } else {
+                dst[p + c] = (src[p + perm[c]] + offset) & 0xFF
+            }
+        }
+    }
+    return imgdata2
+}
+
+/**
+ * 按选项对像素数据执行混淆或还原
+ * 还原时若给出的原始尺寸与当前尺寸不同（图片被平台缩放过），先放大回原始尺寸再还原，得到尽量接近原图的结果
+ * 给出 regions 时只处理这些矩形区域，其余像素保持不变
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @param {Object} options 选项 {algorithm: 算法 ID，默认 'hilbert'; blockSize; tileTransform; diffusion: 是否扩散颜色;
+ *                         regions: 只混淆的区域 [{x, y, width, height}]; originalWidth, originalHeight: 混淆时的原始尺寸}
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {Function} [onProgress] 进度回调，参数为 0-1 之间的完成比例
+ * @returns {ImageData}
+ */
+function scrambleImageData(imgdata, keyWords, options, inverse, onProgress) {
+    if (inverse && options.originalWidth && options.originalHeight &&
+        (options.originalWidth !== imgdata.width || options.originalHeight !== imgdata.height)) {
+        imgdata = resampleImageData(imgdata, options.originalWidth, options.originalHeight)
+    }
+    if (options.regions && options.regions.length > 0) {
+        return scrambleRegions(imgdata, keyWords, options, inverse, onProgress)
+    }
+    return scrambleWholeImage(imgdata, keyWords, options, inverse, onProgress)
+}
+
+/**
+ * 对整张像素数据执行所选算法
+ * 启用颜色扩散时，混淆在置换之后扩散颜色，还原时先撤销扩散再逆置换
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @param {Object} options 选项，见 scrambleImageData
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {Function} [onProgress] 进度回调
+ * @returns {ImageData}
+ */
+function scrambleWholeImage(imgdata, keyWords, options, inverse, onProgress) {
+    const algorithm = getScrambleAlgorithm(options.algorithm || 'hilbert')
+    const params = { ...options, keyWords, onProgress }
+    if (inverse) {
+        if (options.diffusion) imgdata = diffuseColours(imgdata, keyWords, true)
+        return algorithm.decrypt(imgdata, params)
+    }
+    const result = algorithm.encrypt(imgdata, params)
+    return options.diffusion ? diffuseColours(result, keyWords, false) : result
+}
+
+/**
+ * 只混淆（还原）指定的矩形区域，每个区域按自身尺寸生成曲线，互不影响
+ * 区域重叠时依次处理，还原时按相反顺序处理，保证精确可逆
+ * @param {ImageData} imgdata 源像素数据
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @param {Object} options 选项，见 scrambleImageData
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @param {Function} [onProgress] 进度回调
+ * @returns {ImageData}
+ */
+function scrambleRegions(imgdata, keyWords, options, inverse, onProgress) {
+    const { width, height } = imgdata
+    const regions = options.regions.map(region => clipRegion(region, width, height))
+    if (regions.some(region => !region)) throw new Error('混淆区域超出图片范围')
+    if (inverse) regions.reverse()
+
+    const result = new ImageData(new Uint8ClampedArray(imgdata.data), width, height)
+    const pixels = pixelView(result)
+    const totalArea = regions.reduce((sum, region) => sum + region.width * region.height, 0)
+    let doneArea = 0
+
+    regions.forEach((region, i) => {
+        // 取出区域像素，按整张图片处理后写回
+        const sub = new ImageData(region.width, region.height)
+        const subPixels = pixelView(sub)
+        for (let y = 0; y < region.height; y++) {
+            const start = (region.y + y) * width + region.x
+            subPixels.set(pixels.subarray(start, start + region.width), y * region.width)
+        }
+
+        const regionProgress = onProgress
+            ? (progress) => onProgress((doneArea + progress * region.width * region.height) / totalArea)
+            : undefined
+        let processed
+        try {
+            processed = scrambleWholeImage(sub, keyWords, options, inverse, regionProgress)
+        } catch (error) {
+            throw new Error(`区域 ${i + 1}（${region.width}×${region.height}）: ${error.message}`)
+        }
+
+        const processedPixels = pixelView(processed)
+        for (let y = 0; y < region.height; y++) {
+            pixels.set(processedPixels.subarray(y * region.width, (y + 1) * region.width), (region.y + y) * width + region.x)
+        }
+        doneArea += region.width * region.height
+    })
+    return result
+}
+
+/**
+ * 将区域裁剪到图片范围内
+ * @param {Object} region 区域 {x, y, width, height}
+ * @param {number} width 图片宽度
+ * @param {number} height 图片高度
+ * @returns {Object|null} 裁剪后的区域，与图片没有交集时返回 null
+ */
+function clipRegion(region, width, height) {
+    const x = Math.max(0, Math.round(region.x))
+    const y = Math.max(0, Math.round(region.y))
+    const right = Math.min(width, Math.round(region.x + region.width))
+    const bottom = Math.min(height, Math.round(region.y + region.height))
+    if (right <= x || bottom <= y) return null
+    return { x, y, width: right - x, height: bottom - y }
+}
+
+/**
+ * 双线性插值缩放像素数据
+ * @param {ImageData} imgdata 源像素数据
+ * @param {number} width 目标宽度
+ * @param {number} height 目标高度
+ * @returns {ImageData}
+ */
+function resampleImageData(imgdata, width, height) {
+    const src = imgdata.data
+    const srcWidth = imgdata.width
+    const srcHeight = imgdata.height
+    const imgdata2 = new ImageData(width, height)
+    const dst = imgdata2.data
+    const scaleX = srcWidth / width
+    const scaleY = srcHeight / height
+
+    for (let y = 0; y < height; y++) {
+        // 按像素中心对齐
+        const sy = Math.min(Math.max((y + 0.5) * scaleY - 0.5, 0), srcHeight - 1)
+        const y0 = Math.floor(sy)
+        const y1 = Math.min(y0 + 1, srcHeight - 1)
+        const fy = sy - y0
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(Math.max((x + 0.5) * scaleX - 0.5, 0), srcWidth - 1)
+            const x0 = Math.floor(sx)
+            const x1 = Math.min(x0 + 1, srcWidth - 1)
+            const fx = sx - x0
+            const p00 = (y0 * srcWidth + x0) * 4
+            const p01 = (y0 * srcWidth + x1) * 4
+            const p10 = (y1 * srcWidth + x0) * 4
+            const p11 = (y1 * srcWidth + x1) * 4
+            const p = (y * width + x) * 4
+            for (let c = 0; c < 4; c++) {
+                const top = src[p00 + c] + (src[p01 + c] - src[p00 + c]) * fx
+                const bottom = src[p10 + c] + (src[p11 + c] - src[p10 + c]) * fx
+                dst[p + c] = top + (bottom - top) * fy
+            }
+        }
+    }
+    return imgdata2
+}
+
+// 常见的图片边长：相机、手机、屏幕分辨率及 AI 绘图常用尺寸
+const COMMON_IMAGE_EDGES = [
+    512, 640, 720, 768, 800, 832, 896, 960, 1024, 1080, 1152, 1200, 1216, 1280, 1344, 1440, 1536, 1600,
+    1920, 2048, 2160, 2304, 2400, 2560, 2880, 3000, 3024, 3072, 3200, 3456, 3840, 4000, 4032, 4096,
+    4480, 4608, 5120, 6000, 6144, 8000, 8192
+]
+
+// 尝试常见尺寸时最多评估的候选数
+const SIZE_SEARCH_MAX_CANDIDATES = 32
+
+// 候选原始尺寸相对当前尺寸的最大放大倍数
+const SIZE_SEARCH_MAX_SCALE = 4
+
+// 候选原始尺寸的最大像素数，更大的尺寸逐一尝试太慢
+const SIZE_SEARCH_MAX_PIXELS = 48 * 1000 * 1000
+
+// 计算相邻像素相关性时最多采样的行数
+const SCORE_SAMPLE_ROWS = 512
+
+/**
+ * 数值末尾的二进制 0 的个数（最多计 6 个），用来衡量尺寸是否“整齐”
+ * @param {number} value 正整数
+ * @returns {number}
+ */
+function sizeRoundness(value) {
+    let bits = 0
+    while (bits < 6 && value % 2 === 0) {
+        value /= 2
+        bits++
     }
+    return bits
+}
+
+/**
+ * 列出缩放前可能的原始尺寸
+ * 以常见边长作为原始宽（或高），另一边取缩放后四舍五入能得到当前尺寸的所有值；
+ * 两边都是 8、16、64 等的倍数的尺寸更常见，优先尝试
+ * @param {number} width 当前宽度
+ * @param {number} height 当前高度
+ * @returns {Array<{width: number, height: number}>} 按尝试顺序排列
+ */
+function listCandidateSizes(width, height) {
+    const candidates = new Map()
+    const add = (w, h) => {
+        if (w > width && h > height && w <= width * SIZE_SEARCH_MAX_SCALE && w * h <= SIZE_SEARCH_MAX_PIXELS) candidates.set(`${w}x${h}`, { width: w, height: h })
+    }
+    // 边长 edge 缩放为 current 时，另一边 other 可能对应的原始长度
+    const otherEdges = (edge, current, other) => {
+        const scale = edge / current
+        const result = []
+        for (let v = Math.ceil((other - 0.5) * scale); v <= Math.floor((other + 0.5) * scale); v++) result.push(v)
+        return result
+    }
+
+    for (const edge of COMMON_IMAGE_EDGES) {
+        if (edge > width) {
+            for (const h of otherEdges(edge, width, height)) add(edge, h)
+        }
+        if (edge > height) {
+            for (const w of otherEdges(edge, height, width)) add(w, edge)
+        }
+    }
+    const roundness = (size) => Math.min(sizeRoundness(size.width), sizeRoundness(size.height))
+    return Array.from(candidates.values())
+        .sort((a, b) => roundness(b) - roundness(a) || a.width * a.height - b.width * b.height)
+        .slice(0, SIZE_SEARCH_MAX_CANDIDATES)
+}
+
+/**
+ * 计算相距 lag 的像素亮度的相关系数，还原正确的图片相邻像素高度相关，错误的还原接近噪声
+ * 放大后的图片在插值范围内总是平滑的，因此比较距离应大于放大倍数
+ * @param {ImageData} imgdata 像素数据
+ * @param {number} [lag] 比较的像素距离
+ * @returns {number} -1 到 1 之间，越大越像自然图片
+ */
+function scoreNeighbourCorrelation(imgdata, lag = 1) {
+    const { width, height, data } = imgdata
+    const rowStep = Math.max(1, Math.floor(height / SCORE_SAMPLE_ROWS))
+    const luma = (p) => data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114
+    let n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0
+    const addPair = (a, b) => {
+        n++
+        sumA += a
+        sumB += b
+        sumAA += a * a
+        sumBB += b * b
+        sumAB += a * b
+    }
+
+    for (let y = 0; y < height - lag; y += rowStep) {
+        for (let x = 0; x < width - lag; x++) {
+            const p = (y * width + x) * 4
+            const a = luma(p)
+            addPair(a, luma(p + lag * 4))
+            addPair(a, luma(p + lag * width * 4))
+        }
+    }
+    if (n === 0) return 0
+
+    const cov = sumAB / n - (sumA / n) * (sumB / n)
+    const varA = sumAA / n - (sumA / n) ** 2
+    const varB = sumBB / n - (sumB / n) ** 2
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0
+}
+
+/**
+ * 对缩放过的混淆图片逐一尝试候选原始尺寸，按还原结果的相邻像素相关性打分
+ * @param {ImageData} imgdata 当前（缩放后的）像素数据
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @param {Object} options 解密选项，见 scrambleImageData
+ * @param {Array<{width: number, height: number}>} candidates 候选尺寸，见 listCandidateSizes
+ * @param {Function} [onProgress] 进度回调
+ * @returns {Array<{width: number, height: number, score: number}>} 按得分从高到低排列
+ */
+function searchOriginalSize(imgdata, keyWords, options, candidates, onProgress) {
+    const results = []
+    candidates.forEach((size, i) => {
+        if (onProgress) onProgress(i / candidates.length)
+        try {
+            const restored = scrambleImageData(imgdata, keyWords, {
+                ...options,
+                originalWidth: size.width,
+                originalHeight: size.height
+            }, true)
+            // 缩回当前尺寸再打分，使不同放大倍数的候选可以公平比较
+            const score = scoreNeighbourCorrelation(resampleImageData(restored, imgdata.width, imgdata.height))
+            results.push({ width: size.width, height: size.height, score })
+        } catch (err) {
+            // 部分算法对尺寸有要求（如方块数不足），跳过这些候选
+            console.warn(`候选尺寸 ${size.width}×${size.height} 无法还原:`, err.message)
+        }
+    })
+    return results.sort((a, b) => b.score - a.score)
+}
+
+// 感知哈希缩略图的边长，缩略图为该尺寸的 RGB 平均色
+const CHECKSUM_THUMB_SIZE = 16
+
+// 缩略图 PSNR 不低于该值时视为与原图肉眼无差别
+const CHECKSUM_CLOSE_PSNR = 30
+
+// 缩略图掩码的固定随机种子，带密钥时与密钥派生参数混合，避免签名泄露原图轮廓
+const DEFAULT_CHECKSUM_SEED = 0x165667B1
+
+/**
+ * 计算像素哈希：RGBA 数据的 SHA-256 前 16 字节
+ * 完全透明像素的 RGB 经画布预乘后不可恢复，按 0 计算
+ * @param {ImageData} imgdata 像素数据
+ * @returns {Promise<string|null>} 32 位十六进制字符串，浏览器不支持 Web Crypto 时返回 null
+ */
+async function computePixelHash(imgdata) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) return null
+
+    let data = imgdata.data
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 0 || (data[i - 3] | data[i - 2] | data[i - 1]) === 0) continue
+        if (data === imgdata.data) data = new Uint8ClampedArray(data)
+        data[i - 3] = data[i - 2] = data[i - 1] = 0
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+    return Array.from(digest.slice(0, 16), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * 生成感知哈希缩略图：把图片分成 CHECKSUM_THUMB_SIZE × CHECKSUM_THUMB_SIZE 格，取每格的 RGB 平均值
+ * @param {ImageData} imgdata 像素数据
+ * @returns {Uint8Array} 每格 3 字节
+ */
+function computeThumbnail(imgdata) {
+    const { width, height, data } = imgdata
+    const size = CHECKSUM_THUMB_SIZE
+    const thumb = new Uint8Array(size * size * 3)
+
+    for (let cy = 0; cy < size; cy++) {
+        const y0 = Math.min(height - 1, Math.floor(cy * height / size))
+        const y1 = Math.max(y0 + 1, Math.floor((cy + 1) * height / size))
+        for (let cx = 0; cx < size; cx++) {
+            const x0 = Math.min(width - 1, Math.floor(cx * width / size))
+            const x1 = Math.max(x0 + 1, Math.floor((cx + 1) * width / size))
+            let r = 0, g = 0, b = 0
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const p = (y * width + x) * 4
+                    r += data[p]
+                    g += data[p + 1]
+                    b += data[p + 2]
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0)
+            const t = (cy * size + cx) * 3
+            thumb[t] = Math.round(r / count)
+            thumb[t + 1] = Math.round(g / count)
+            thumb[t + 2] = Math.round(b / count)
+        }
+    }
+    return thumb
+}
+
+/**
+ * 用伪随机字节异或缩略图（再次调用即可去除掩码）
+ * @param {Uint8Array} thumb 缩略图
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @returns {Uint8Array} 新的缩略图
+ */
+function maskThumbnail(thumb, keyWords) {
+    const random = createPrng(keyWords ? keyWords[6] ^ DEFAULT_CHECKSUM_SEED : DEFAULT_CHECKSUM_SEED)
+    return thumb.map(value => value ^ Math.floor(random() * 256))
+}
+
+/**
+ * 计算两张缩略图的峰值信噪比
+ * @param {Uint8Array} a 缩略图
+ * @param {Uint8Array} b 缩略图
+ * @returns {number} 单位 dB，完全相同时为 Infinity
+ */
+function thumbnailPsnr(a, b) {
+    let sum = 0
+    for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2
+    const mse = sum / a.length
+    return mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse)
+}
+
+/**
+ * 计算原图的校验信息，写入签名
+ * @param {ImageData} imgdata 原图像素数据
+ * @param {Uint32Array|null} keyWords 密钥派生参数
+ * @returns {Promise<{ck?: string, ph: string}>} ck 为像素哈希，ph 为加掩码后的缩略图（Base64）
+ */
+async function createPixelChecksum(imgdata, keyWords) {
+    const checksum = {}
+    const hash = await computePixelHash(imgdata)
+    if (hash) checksum.ck = hash
+    const thumb = maskThumbnail(computeThumbnail(imgdata), keyWords)
+    checksum.ph = btoa(String.fromCharCode(...thumb))
+    return checksum
+}
+
+/**
+ * 将解混淆结果与签名中的校验信息比对
+ * @param {ImageData} imgdata 解混淆后的像素数据
+ * @param {Object} signature 签名对象
+ * @param {string} key 用户输入的密钥
+ * @returns {Promise<{status: string, psnr: number}|null>} status 为 'exact' 完全一致 | 'close' 肉眼无差别 | 'mismatch' 不一致；
+ *                                                       签名中没有校验信息时返回 null
+ */
+async function verifyPixelChecksum(imgdata, signature, key) {
+    if (!signature || typeof signature.ph !== 'string') return null
+
+    if (signature.ck && await computePixelHash(imgdata) === signature.ck) {
+        return { status: 'exact', psnr: Infinity }
+    }
+
+    let expected
+    try {
+        expected = Uint8Array.from(atob(signature.ph), c => c.charCodeAt(0))
+    } catch (err) {
+        console.warn('校验缩略图格式不正确:', err)
+        return null
+    }
+    if (expected.length !== CHECKSUM_THUMB_SIZE * CHECKSUM_THUMB_SIZE * 3) return null
+
+    const keyWords = await deriveKeyWords(signature.kc ? key : '')
+    const psnr = thumbnailPsnr(computeThumbnail(imgdata), maskThumbnail(expected, keyWords))
+    return { status: psnr >= CHECKSUM_CLOSE_PSNR ? 'close' : 'mismatch', psnr }
+}
+
+// 混淆签名版本号，签名格式不兼容地变化时递增
+const SIGNATURE_VERSION = 1
+
+/**
+ * 生成混淆签名，记录解密所需的全部参数
+ * @param {Object} options 加密选项，见 encryptImage
+ * @param {number} width 原始宽度
+ * @param {number} height 原始高度
+ * @param {ImageData|null} source 原图像素数据，给出时写入校验信息 ck、ph，见 createPixelChecksum
+ * @returns {Promise<Object>} 签名对象 {alg, v, bs, tt, df, rg, kc, ck, ph, w, h}，rg 为只混淆的区域 [[x, y, 宽, 高], ...]
+ */
+async function createScrambleSignature(options, width, height, source = null) {
+    const signature = { alg: options.algorithm || 'hilbert', v: SIGNATURE_VERSION, w: width, h: height }
+    if (getScrambleAlgorithm(signature.alg).usesBlocks) {
+        signature.bs = options.blockSize || 16
+        if (options.tileTransform) signature.tt = 1
+    }
+    if (options.diffusion) signature.df = 1
+    if (options.regions && options.regions.length > 0) {
+        signature.rg = options.regions.map(region => [region.x, region.y, region.width, region.height])
+    }
+    const keyWords = await deriveKeyWords(options.key)
+    if (keyWords) signature.kc = await computeKeyCheck(keyWords)
+    if (source) Object.assign(signature, await createPixelChecksum(source, keyWords))
+    return signature
+}
+
+/**
+ * 将签名序列化为文本
+ * @param {Object} signature 签名对象
+ * @returns {string}
+ */
+function serializeScrambleSignature(signature) {
+    return JSON.stringify(signature)
+}
+
+/**
+ * 解析签名文本
+ * @param {string} text 签名文本
+ * @returns {Object|null} 签名对象，格式不正确时返回 null
+ */
+function parseScrambleSignature(text) {
+    try {
+        const signature = JSON.parse(text)
+        if (!signature || typeof signature.alg !== 'string' || typeof signature.v !== 'number') return null
+        return signature
+    } catch (err) {
+        console.warn('混淆签名格式不正确:', err)
+        return null
+    }
+}
+
+/**
+ * 根据签名确定解密参数，并在算法、尺寸或密钥不匹配时给出明确的错误
+ * @param {Object} signature 签名对象
+ * @param {string} key 用户输入的密钥
+ * @param {number} width 当前图片宽度
+ * @param {number} height 当前图片高度
+ * @returns {Promise<Object>} 解密选项，见 decryptImage
+ */
+async function resolveSignatureOptions(signature, key, width, height) {
+    if (signature.v > SIGNATURE_VERSION) {
+        throw new Error('该图片由更新版本的工具混淆，请升级后再解混淆')
+    }
+    if (!SCRAMBLE_ALGORITHMS[signature.alg]) {
+        throw new Error(`不支持的混淆算法: ${signature.alg}`)
+    }
+    // 等比例缩小过的图片可以放大回原始尺寸近似还原，其余尺寸变化（裁剪、拉伸）无法还原
+    const resized = signature.w !== width || signature.h !== height
+    if (resized && !(width < signature.w && Math.abs(signature.h * width / signature.w - height) <= 1)) {
+        throw new Error(`图片尺寸与签名记录不符（原始 ${signature.w}×${signature.h}，当前 ${width}×${height}），可能已被裁剪或拉伸`)
+    }
+
+    if (signature.kc) {
+        if (!key) throw new Error('该图片使用了密钥混淆，请先输入密钥')
+        const keyCheck = await computeKeyCheck(await deriveKeyWords(key))
+        if (keyCheck !== signature.kc) throw new Error('密钥错误，无法解混淆该图片')
+    } else if (key) {
+        console.log('该图片未使用密钥混淆，忽略输入的密钥')
+    }
+
+    return {
+        algorithm: signature.alg,
+        blockSize: signature.bs || 16,
+        tileTransform: !!signature.tt,
+        diffusion: !!signature.df,
+        regions: Array.isArray(signature.rg)
+            ? signature.rg.map(([x, y, regionWidth, regionHeight]) => ({ x, y, width: regionWidth, height: regionHeight }))
+            : null,
+        key: signature.kc ? key : '',
+        originalWidth: signature.w,
+        originalHeight: signature.h
+    }
+}
+
+/**
+ * 将图片（或其中的一块区域）绘制到新画布
+ * @param {HTMLImageElement} img 图片元素
+ * @param {Object|null} crop 裁剪区域 {x, y, width, height}，为 null 时使用整张图片
+ * @param {string} colorSpace 画布色彩空间，见 loadPixelSource
+ * @returns {{cvs: HTMLCanvasElement, ctx: CanvasRenderingContext2D, imgdata: ImageData}}
+ */
+function readImageData(img, crop = null, colorSpace = 'srgb') {
+    const cvs = document.createElement("canvas")
+    const width = cvs.width = crop ? crop.width : img.width
+    const height = cvs.height = crop ? crop.height : img.height
+    const ctx = cvs.getContext("2d", { colorSpace })
+    if (!ctx) throw new Error('无法获取 Canvas 上下文')
+    ctx.drawImage(img, crop ? -crop.x : 0, crop ? -crop.y : 0)
+    return { cvs, ctx, imgdata: ctx.getImageData(0, 0, width, height, { colorSpace }) }
+}
+
+/**
+ * 为处理结果标记色彩空间
+ * Worker 返回的 ImageData 默认为 sRGB，直接写入其他色彩空间的画布时浏览器会转换颜色
+ * @param {ImageData} imgdata 像素数据
+ * @param {string|undefined} colorSpace 像素实际所在的色彩空间
+ * @returns {ImageData}
+ */
+function withColorSpace(imgdata, colorSpace) {
+    if (!colorSpace || !imgdata.colorSpace || imgdata.colorSpace === colorSpace) return imgdata
+    return new ImageData(imgdata.data, imgdata.width, imgdata.height, { colorSpace })
 }
 
 /**
  * 加密图片
+ * 像素置换在 Web Worker 中执行（见 scramble-job.js），不阻塞页面
  * @param {HTMLImageElement} img 图片元素
- * @returns {Promise<void>}
+ * @param {Object} options 选项 {key: 密钥，留空则使用默认混淆; algorithm: 算法 ID（见 SCRAMBLE_ALGORITHMS）; blockSize: 8 | 16; tileTransform: 是否翻转/旋转方块; diffusion: 是否扩散颜色; regions: 只混淆的区域; colorSpace: 画布色彩空间（见 loadPixelSource）; onProgress: 进度回调}
+ * @returns {Promise<HTMLCanvasElement>}
  */
-async function encryptImage(img) {
+async function encryptImage(img, options = {}) {
     try {
-        const cvs = document.createElement("canvas")
-        const width = cvs.width = img.width
-        const height = cvs.height = img.height
-        const ctx = cvs.getContext("2d")
-        if (!ctx) throw new Error('无法获取 Canvas 上下文')
-        ctx.drawImage(img, 0, 0)
-        const imgdata = ctx.getImageData(0, 0, width, height)
-        const imgdata2 = new ImageData(width, height)
-        const curve = gilbert2d(width, height)
-        const offset = Math.round((Math.sqrt(5) - 1) / 2 * width * height)
-        
-        for(let i = 0; i < width * height; i++){
-            const old_pos = curve[i]
-            const new_pos = curve[(i + offset) % (width * height)]
-            const old_p = 4 * (old_pos[0] + old_pos[1] * width)
-            const new_p = 4 * (new_pos[0] + new_pos[1] * width)
-            imgdata2.data.set(imgdata.data.slice(old_p, old_p + 4), new_p)
-        }
-        ctx.putImageData(imgdata2, 0, 0)
+        const { cvs, ctx, imgdata } = readImageData(img, null, options.colorSpace)
+        ctx.putImageData(withColorSpace(await runScrambleJob(imgdata, options, false), options.colorSpace), 0, 0)
         
         return cvs
     } catch (error) {
+        if (isCancelError(error)) throw error
         console.error('加密图片失败:', error)
         throw new Error('加密处理失败: ' + error.message)
     }
@@ -117,33 +1338,71 @@ async function encryptImage(img) {
 /**
  * 解密图片
  * @param {HTMLImageElement} img 图片元素
- * @returns {Promise<void>}
+ * @param {Object} options 选项，需与加密时一致，见 encryptImage；另可用 crop: {x, y, width, height} 只解混淆截图中的混淆区域，
+ *                         originalWidth / originalHeight 指定被缩放前的原始尺寸，输出为原始尺寸
+ * @returns {Promise<HTMLCanvasElement>}
  */
-async function decryptImage(img) {
+async function decryptImage(img, options = {}) {
     try {
-        const cvs = document.createElement("canvas")
-        const width = cvs.width = img.width
-        const height = cvs.height = img.height
-        const ctx = cvs.getContext("2d")
-        if (!ctx) throw new Error('无法获取 Canvas 上下文')
-        ctx.drawImage(img, 0, 0)
-        const imgdata = ctx.getImageData(0, 0, width, height)
-        const imgdata2 = new ImageData(width, height)
-        const curve = gilbert2d(width, height)
-        const offset = Math.round((Math.sqrt(5) - 1) / 2 * width * height)
-        
-        for(let i = 0; i < width * height; i++){
-            const old_pos = curve[i]
-            const new_pos = curve[(i + offset) % (width * height)]
-            const old_p = 4 * (old_pos[0] + old_pos[1] * width)
-            const new_p = 4 * (new_pos[0] + new_pos[1] * width)
-            imgdata2.data.set(imgdata.data.slice(new_p, new_p + 4), old_p)
-        }
-        ctx.putImageData(imgdata2, 0, 0)
+        const { cvs, ctx, imgdata } = readImageData(img, options.crop || null, options.colorSpace)
+        const result = withColorSpace(await runScrambleJob(imgdata, options, true), options.colorSpace)
+        // 缩放过的图片还原为原始尺寸
+        cvs.width = result.width
+        cvs.height = result.height
+        ctx.putImageData(result, 0, 0)
         
         return cvs
     } catch (error) {
+        if (isCancelError(error)) throw error
         console.error('解密图片失败:', error)
         throw new Error('解密处理失败: ' + error.message)
     }
 }
+
+/**
+ * 逐帧混淆或还原动画
+ * 所有帧使用相同的选项，即相同的置换，解混淆时按同样的方式逐帧还原
+ * @param {Object} animation 解码得到的动画，见 decodeAnimation
+ * @param {Object} options 选项，见 encryptImage / decryptImage（不支持 crop）；onProgress 按总帧数折算
+ * @param {boolean} inverse 是否为逆操作（解混淆）
+ * @returns {Promise<Array<{imgdata: ImageData, delay: number}>>} 处理后的帧序列
+ */
+async function scrambleAnimationFrames(animation, options, inverse) {
+    const { onProgress, ...params } = options
+    const count = animation.frames.length
+    const frames = []
+    try {
+        for (let i = 0; i < count; i++) {
+            const frame = animation.frames[i]
+            const frameProgress = onProgress ? (progress) => onProgress((i + progress) / count) : undefined
+            // 像素缓冲区会被转移给 Worker，传入副本以保留原帧
+            const source = new ImageData(frame.imgdata.data.slice(), frame.imgdata.width, frame.imgdata.height)
+            const imgdata = await runScrambleJob(source, { ...params, onProgress: frameProgress }, inverse)
+            frames.push({ imgdata, delay: frame.delay })
+        }
+    } catch (error) {
+        if (isCancelError(error)) throw error
+        console.error('逐帧处理动画失败:', error)
+        throw new Error(`${inverse ? '解密' : '加密'}处理失败（第 ${frames.length + 1}/${count} 帧）: ${error.message}`)
+    }
+    return frames
+}
+
+/**
+ * 为缩放过的混淆图片尝试常见的原始尺寸
+ * @param {HTMLImageElement} img 图片元素
+ * @param {Object} options 解密选项，见 decryptImage
+ * @returns {Promise<Array<{width: number, height: number, score: number}>>} 按得分从高到低排列
+ */
+async function findOriginalSize(img, options = {}) {
+    try {
+        const { imgdata } = readImageData(img, options.crop || null, options.colorSpace)
+        const candidates = listCandidateSizes(imgdata.width, imgdata.height)
+        if (candidates.length === 0) throw new Error('图片尺寸过大，没有可尝试的常见尺寸')
+        return await runSizeSearchJob(imgdata, options, candidates)
+    } catch (error) {
+        if (isCancelError(error)) throw error
+        console.error('尝试原始尺寸失败:', error)
+        throw new Error('尝试原始尺寸失败: ' + error.message)
+    }
+}
@@ -1,282 +1,1431 @@
 /**
  * 图片EXIF和PNG元数据处理库
+ * 内置 JPEG APP1 / TIFF 格式的 EXIF 读写，所有 IFD 原样保留；
+ * PNG 的辅助块（文本、iCCP、pHYs 等）按原类型和顺序逐字节保留（eXIf 块输出时按 EXIF 重新生成），压缩文本用浏览器的 zlib 解压；
+ * ICC 色彩配置（JPEG APP2 段、PNG iCCP 块、WebP ICCP 块）随当前图片读取，输出时原样写回；
+ * 另负责识别图片格式、解析 GIF 的块结构，以及在 PNG / JPEG / WebP / GIF 中读写混淆签名
  */
 
-// 存储原始图片的 EXIF 数据和 PNG 元数据
+// 存储原始图片的 EXIF 数据、PNG 元数据和 XMP 数据
 let originalExifData = null
 let originalPngMetadata = null
-let originalImageFormat = 'jpeg' // 记录原始图片格式
+let originalXmpData = null
+let originalImageFormat = null // 记录原始图片格式，见 detectImageFormat
+let scrambleSignature = null // 当前图片携带的混淆签名
+let iccProfile = null // 当前图片的 ICC 色彩配置，描述像素数值所在的色彩空间
+
+// 混淆签名在 PNG tEXt 块中的关键字，以及在 JPEG COM 段、GIF 注释扩展中的前缀
+const SCRAMBLE_SIGNATURE_KEYWORD = 'iead-scramble'
+const SCRAMBLE_SIGNATURE_PREFIX = SCRAMBLE_SIGNATURE_KEYWORD + ':'
+
+// WebP 的 VP8X 块中表示含有 EXIF、XMP、ICC 配置（ICCP）块的标志
+const WEBP_EXIF_FLAG = 0x08
+const WEBP_XMP_FLAG = 0x04
+const WEBP_ICC_FLAG = 0x20
+
+// 混淆签名在 WebP 文件中的块类型
+const SCRAMBLE_SIGNATURE_WEBP_CHUNK = 'SCRM'
+
+// GIF 数据子块的最大长度
+const GIF_SUB_BLOCK_SIZE = 255
+
+// PNG 文件签名
+const PNG_SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)
+
+// CRC32 查找表（PNG 块校验）
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+        let c = n
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1)
+        table[n] = c >>> 0
+    }
+    return table
+})()
+
+// JPEG APP1 段中 XMP 数据的标识，以及 PNG 中存放 XMP 的 iTXt 块关键字
+const XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0'
+const XMP_PNG_KEYWORD = 'XML:com.adobe.xmp'
+
+// PNG 文本块类型
+const PNG_TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt']
+
+// 文本超过该长度（字符数）时默认压缩写入 zTXt / iTXt
+const PNG_TEXT_COMPRESS_THRESHOLD = 1024
+
+// 可以出现多次的 PNG 辅助块
+const PNG_REPEATABLE_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'sPLT']
+
+// PNG 色彩空间块，互相关联（如 iCCP 与 sRGB 不应同时出现），写入时作为一组替换
+const PNG_COLOR_SPACE_CHUNKS = ['iCCP', 'sRGB', 'gAMA', 'cHRM', 'cICP']
+
+// 按规范像素修改后不应复制、但仍然适用于输出的块，见 isPreservedPngChunk
+const PNG_PRESERVED_UNSAFE_CHUNKS = [...PNG_COLOR_SPACE_CHUNKS, 'tIME']
+
+// JPEG APP2 段中 ICC 配置的标识，其后依次为 1 字节序号（从 1 开始）和 1 字节总段数
+const ICC_JPEG_HEADER = 'ICC_PROFILE\0'
+
+// 单个 JPEG APP2 段可容纳的 ICC 配置字节数（段长上限 65535，减去长度字段和标识、序号）
+const ICC_JPEG_SEGMENT_SIZE = 0xFFFF - 2 - ICC_JPEG_HEADER.length - 2
+
+// 新写入的 PNG iCCP 块中的配置名称
+const ICC_PNG_NAME = 'ICC Profile'
+
+// JPEG APP1 段中 EXIF 数据的标识
+const EXIF_HEADER = 'Exif\0\0'
+
+// EXIF 各数据类型每个值的字节数（1 BYTE、2 ASCII、3 SHORT、4 LONG、5 RATIONAL、6 SBYTE、
+// 7 UNDEFINED、8 SSHORT、9 SLONG、10 SRATIONAL、11 FLOAT、12 DOUBLE、13 IFD）
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 }
+
+// 指向子 IFD 的标签：Exif、GPS 位于 0th IFD，Interop 位于 Exif IFD
+const EXIF_POINTER_TAGS = { Exif: 0x8769, GPS: 0x8825, Interop: 0xA005 }
+
+// 1st IFD 中 JPEG 缩略图的偏移和长度标签
+const EXIF_THUMBNAIL_OFFSET_TAG = 0x0201
+const EXIF_THUMBNAIL_LENGTH_TAG = 0x0202
+
+/**
+ * 拼接多段字节
+ * @param {Array<Uint8Array>} parts 字节片段
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+    let offset = 0
+    for (const part of parts) {
+        result.set(part, offset)
+        offset += part.length
+    }
+    return result
+}
+
+/**
+ * 是否为 WebP 文件（RIFF....WEBP）
+ * @param {Uint8Array} bytes 文件字节
+ * @returns {boolean}
+ */
+function isWebpFile(bytes) {
+    return bytes.length >= 12 &&
+        String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' &&
+        String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP'
+}
+
+/**
+ * 根据文件头识别图片格式
+ * @param {Uint8Array} bytes 文件字节
+ * @returns {string|null} 'png' | 'jpeg' | 'webp'（有损）| 'webp-lossless' | 'gif' | 'bmp'，无法识别时返回 null
+ */
+function detectImageFormat(bytes) {
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png'
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg'
+    if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) return 'gif'
+    if (bytes[0] === 0x42 && bytes[1] === 0x4D) return 'bmp'
+    if (isWebpFile(bytes)) {
+        return readWebpChunks(bytes).some(chunk => chunk.type === 'VP8L') ? 'webp-lossless' : 'webp'
+    }
+    return null
+}
+
+/**
+ * 读取 WebP 文件中的所有块
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @returns {Array<{type: string, offset: number, length: number}>} offset 指向块头，length 为数据长度（不含补齐字节）
+ */
+function readWebpChunks(bytes) {
+    const chunks = []
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    let offset = 12
+    while (offset + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4))
+        const length = view.getUint32(offset + 4, true)
+        chunks.push({ type, offset, length })
+        offset += 8 + length + (length & 1)
+    }
+    return chunks
+}
+
+/**
+ * 读取简单格式 WebP（只有一个 VP8 或 VP8L 块）的画布尺寸及是否含透明通道
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @param {Object} chunk 图像数据块，见 readWebpChunks
+ * @returns {{width: number, height: number, alpha: boolean}}
+ */
+function readWebpBitstreamInfo(bytes, chunk) {
+    const data = chunk.offset + 8
+    if (chunk.type === 'VP8L') {
+        // 签名字节 0x2F 之后依次为 14 位宽 - 1、14 位高 - 1、1 位透明标志
+        const bits = bytes[data + 1] | (bytes[data + 2] << 8) | (bytes[data + 3] << 16) | (bytes[data + 4] << 24)
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >>> 14) & 0x3FFF) + 1,
+            alpha: ((bits >>> 28) & 1) === 1
+        }
+    }
+    // VP8 关键帧：3 字节帧标记、3 字节起始码之后为 14 位宽、14 位高
+    return {
+        width: (bytes[data + 6] | (bytes[data + 7] << 8)) & 0x3FFF,
+        height: (bytes[data + 8] | (bytes[data + 9] << 8)) & 0x3FFF,
+        alpha: false
+    }
+}
+
+/**
+ * 生成一个 WebP 块（数据长度为奇数时补齐一个字节）
+ * @param {string} type 块类型（4 个字符）
+ * @param {Uint8Array} payload 块数据
+ * @returns {Uint8Array}
+ */
+function createWebpChunk(type, payload) {
+    const chunk = new Uint8Array(8 + payload.length + (payload.length & 1))
+    chunk.set(Array.from(type, c => c.charCodeAt(0)))
+    new DataView(chunk.buffer).setUint32(4, payload.length, true)
+    chunk.set(payload, 8)
+    return chunk
+}
+
+/**
+ * 组装完整的 WebP 文件（加上 RIFF 头）
+ * @param {Array<Uint8Array>} chunks 块
+ * @returns {Uint8Array}
+ */
+function createWebpFile(chunks) {
+    const body = concatBytes(chunks)
+    const file = new Uint8Array(12 + body.length)
+    file.set([0x52, 0x49, 0x46, 0x46]) // 'RIFF'
+    new DataView(file.buffer).setUint32(4, body.length + 4, true)
+    file.set([0x57, 0x45, 0x42, 0x50], 8) // 'WEBP'
+    file.set(body, 12)
+    return file
+}
+
+/**
+ * 将简单格式的 WebP（只有一个 VP8 或 VP8L 块）转换为扩展格式（在开头插入 VP8X 块），以便附加其他块
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @returns {Uint8Array} 已是扩展格式时原样返回
+ */
+function toExtendedWebp(bytes) {
+    const chunks = readWebpChunks(bytes)
+    if (chunks.length === 0 || chunks[0].type === 'VP8X') return bytes
+
+    const info = readWebpBitstreamInfo(bytes, chunks[0])
+    // VP8X：1 字节标志（0x10 为含透明通道）、3 字节保留、24 位画布宽 - 1、24 位画布高 - 1
+    const vp8x = new Uint8Array(18)
+    vp8x.set([0x56, 0x50, 0x38, 0x58, 10, 0, 0, 0]) // 'VP8X'，数据长度 10
+    vp8x[8] = info.alpha ? 0x10 : 0
+    vp8x.set([(info.width - 1) & 0xFF, ((info.width - 1) >> 8) & 0xFF, (info.width - 1) >> 16], 12)
+    vp8x.set([(info.height - 1) & 0xFF, ((info.height - 1) >> 8) & 0xFF, (info.height - 1) >> 16], 15)
+    return createWebpFile([vp8x, bytes.subarray(12)])
+}
+
+/**
+ * 在 WebP 文件末尾追加一个块
+ * 简单格式的文件不允许附加块，先转换为扩展格式
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @param {string} type 块类型（4 个字符）
+ * @param {Uint8Array} payload 块数据
+ * @returns {Uint8Array} 新的文件字节
+ */
+function appendWebpChunk(bytes, type, payload) {
+    return createWebpFile([toExtendedWebp(bytes).subarray(12), createWebpChunk(type, payload)])
+}
+
+/**
+ * 是否为 PNG 文件
+ * @param {Uint8Array} bytes 文件字节
+ * @returns {boolean}
+ */
+function isPngFile(bytes) {
+    return PNG_SIGNATURE.every((value, i) => bytes[i] === value)
+}
+
+/**
+ * 计算 CRC32
+ * @param {Uint8Array} bytes 数据
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * 读取 PNG 文件中的所有块
+ * @param {Uint8Array} bytes PNG 文件字节
+ * @returns {Array<{type: string, data: Uint8Array, offset: number}>} offset 指向块的长度字段
+ */
+function readPngChunks(bytes) {
+    const chunks = []
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    let offset = 8
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset)
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length), offset })
+        if (type === 'IEND') break
+        offset += length + 12
+    }
+    return chunks
+}
+
+/**
+ * 生成一个 PNG 块（长度、类型、数据、CRC）
+ * @param {string} type 块类型
+ * @param {Uint8Array} data 块数据
+ * @returns {Uint8Array}
+ */
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length)
+    const view = new DataView(chunk.buffer)
+    view.setUint32(0, data.length)
+    chunk.set(Array.from(type, c => c.charCodeAt(0)), 4)
+    chunk.set(data, 8)
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)))
+    return chunk
+}
+
+/**
+ * 用浏览器内置的 zlib 压缩数据
+ * @param {Uint8Array} bytes 原始数据
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflateBytes(bytes) {
+    if (typeof CompressionStream === 'undefined') throw new Error('当前浏览器不支持数据压缩')
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * 用浏览器内置的 zlib 解压数据
+ * @param {Uint8Array} bytes zlib 数据
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateBytes(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('当前浏览器不支持数据解压')
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * 按 Latin-1 解码字节（TextDecoder 的 latin1 实际是 windows-1252，0x80-0x9F 的字符不同）
+ * @param {Uint8Array} bytes 字节
+ * @returns {string}
+ */
+function decodeLatin1(bytes) {
+    let text = ''
+    for (let i = 0; i < bytes.length; i += 8192) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 8192))
+    }
+    return text
+}
+
+/**
+ * 按 Latin-1 编码文本
+ * @param {string} text 文本
+ * @returns {Uint8Array|null} 含 Latin-1 以外的字符时返回 null
+ */
+function encodeLatin1(text) {
+    const bytes = new Uint8Array(text.length)
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i)
+        if (code > 0xFF) return null
+        bytes[i] = code
+    }
+    return bytes
+}
+
+/**
+ * 读取 PNG 文本块（tEXt / zTXt / iTXt）的关键字，不解压文本
+ * @param {Uint8Array} data 块数据
+ * @returns {string}
+ */
+function readPngTextKeyword(data) {
+    const end = data.indexOf(0)
+    return decodeLatin1(data.subarray(0, end < 0 ? data.length : end))
+}
+
+/**
+ * 解析 PNG 文本块，压缩的文本会被解压
+ * @param {string} type 块类型 tEXt / zTXt / iTXt
+ * @param {Uint8Array} data 块数据
+ * @returns {Promise<{keyword: string, text: string, language: string, translatedKeyword: string, compressed: boolean}>}
+ */
+async function decodePngText(type, data) {
+    const keywordEnd = data.indexOf(0)
+    if (keywordEnd < 1) throw new Error(`PNG ${type} 块格式错误`)
+    const keyword = decodeLatin1(data.subarray(0, keywordEnd))
+
+    if (type === 'tEXt') {
+        return { keyword, text: decodeLatin1(data.subarray(keywordEnd + 1)), language: '', translatedKeyword: '', compressed: false }
+    }
+    if (type === 'zTXt') {
+        // 关键字后是压缩方法（只定义了 0 = zlib），其后为压缩的 Latin-1 文本
+        const text = decodeLatin1(await inflateBytes(data.subarray(keywordEnd + 2)))
+        return { keyword, text, language: '', translatedKeyword: '', compressed: true }
+    }
+
+    // iTXt：压缩标志、压缩方法、语言标签、翻译后的关键字（UTF-8），其后为 UTF-8 文本
+    const compressed = data[keywordEnd + 1] === 1
+    const languageEnd = data.indexOf(0, keywordEnd + 3)
+    const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1)
+    if (translatedEnd < 0) throw new Error('PNG iTXt 块格式错误')
+    const utf8 = new TextDecoder('utf-8')
+    const body = data.subarray(translatedEnd + 1)
+    return {
+        keyword,
+        text: utf8.decode(compressed ? await inflateBytes(body) : body),
+        language: decodeLatin1(data.subarray(keywordEnd + 3, languageEnd)),
+        translatedKeyword: utf8.decode(data.subarray(languageEnd + 1, translatedEnd)),
+        compressed
+    }
+}
+
+/**
+ * 生成 PNG 文本块：Latin-1 文本写入 tEXt（压缩时 zTXt），其他文本写入 UTF-8 的 iTXt
+ * @param {string} keyword 关键字（1-79 个 Latin-1 字符）
+ * @param {string} text 文本
+ * @param {boolean} [compress] 是否压缩，默认文本较长时压缩
+ * @returns {Promise<{type: string, data: Uint8Array}>}
+ */
+async function encodePngText(keyword, text, compress = text.length > PNG_TEXT_COMPRESS_THRESHOLD) {
+    const keywordBytes = encodeLatin1(keyword)
+    if (!keywordBytes || keywordBytes.length < 1 || keywordBytes.length > 79 || keywordBytes.includes(0)) {
+        throw new Error(`PNG 文本关键字无效: ${keyword}`)
+    }
+
+    const latin1 = encodeLatin1(text)
+    if (latin1) {
+        return compress
+            ? { type: 'zTXt', data: concatBytes([keywordBytes, Uint8Array.of(0, 0), await deflateBytes(latin1)]) }
+            : { type: 'tEXt', data: concatBytes([keywordBytes, Uint8Array.of(0), latin1]) }
+    }
+
+    const utf8 = new TextEncoder().encode(text)
+    const body = compress ? await deflateBytes(utf8) : utf8
+    // 语言标签和翻译后的关键字留空
+    return { type: 'iTXt', data: concatBytes([keywordBytes, Uint8Array.of(0, compress ? 1 : 0, 0, 0, 0), body]) }
+}
 
 /**
- * 从 Blob/File 中提取 PNG 元数据（tEXt chunks）
+ * 是否保留 PNG 辅助块
+ * 按规范，块类型第 4 个字母大写的块在像素被修改后不应复制（如依赖原图颜色类型的 tRNS、bKGD、sBIT，
+ * 以及 APNG 的 acTL、fcTL、fdAT），其中色彩空间块和 tIME 仍然适用于输出，例外保留
+ * @param {string} type 块类型
+ * @returns {boolean}
+ */
+function isPreservedPngChunk(type) {
+    const ancillary = (type.charCodeAt(0) & 0x20) !== 0
+    const safeToCopy = (type.charCodeAt(3) & 0x20) !== 0
+    return ancillary && (safeToCopy || PNG_PRESERVED_UNSAFE_CHUNKS.includes(type))
+}
+
+/**
+ * 从 Blob/File 中提取 PNG 辅助块（文本、EXIF、色彩空间、分辨率等）
+ * 块数据按原字节保留，不做解码；混淆签名单独处理，XMP 由 extractXmpData 提取，都不在列表中
  * @param {Blob} blob PNG文件Blob
- * @returns {Promise<Object|null>} PNG元数据对象或null
+ * @returns {Promise<Array<{type: string, data: Uint8Array, afterImage: boolean}>|null>}
+ *     按原顺序排列的块列表，afterImage 表示位于图像数据（IDAT）之后；没有时返回 null
  */
 async function extractPngMetadata(blob) {
     try {
-        const arrayBuffer = await blob.arrayBuffer()
-        const bytes = new Uint8Array(arrayBuffer)
-
-        // 检查 PNG 文件签名
-        if (bytes[0] !== 0x89 || bytes[1] !== 0x50 || bytes[2] !== 0x4E || bytes[3] !== 0x47) {
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+        if (!isPngFile(bytes)) {
             console.log('不是 PNG 格式，跳过 PNG 元数据提取')
-            originalImageFormat = 'jpeg'
             return null
         }
 
-        originalImageFormat = 'png'
-        const metadata = {}
-        let offset = 8 // 跳过 PNG 签名
-
-        while (offset < bytes.length) {
-            // 读取块长度
-            const length = (bytes[offset] << 24) | (bytes[offset + 1] << 16) |
-                          (bytes[offset + 2] << 8) | bytes[offset + 3]
-            offset += 4
-
-            // 读取块类型
-            const type = String.fromCharCode(bytes[offset], bytes[offset + 1],
-                                            bytes[offset + 2], bytes[offset + 3])
-            offset += 4
-
-            // 如果是 tEXt 或 iTXt 块，提取数据
-            if (type === 'tEXt' || type === 'iTXt') {
-                const chunkData = bytes.slice(offset, offset + length)
-                let keyword = ''
-                let text = ''
-                let i = 0
-
-                // 读取关键字（以 null 结尾）
-                while (i < chunkData.length && chunkData[i] !== 0) {
-                    keyword += String.fromCharCode(chunkData[i])
-                    i++
-                }
-                i++ // 跳过 null 分隔符
+        const chunks = []
+        let afterImage = false
+        for (const chunk of readPngChunks(bytes)) {
+            if (chunk.type === 'IDAT') afterImage = true
+            if (!isPreservedPngChunk(chunk.type)) continue
+            if (PNG_TEXT_CHUNKS.includes(chunk.type) &&
+                [SCRAMBLE_SIGNATURE_KEYWORD, XMP_PNG_KEYWORD].includes(readPngTextKeyword(chunk.data))) continue
+            chunks.push({ type: chunk.type, data: chunk.data.slice(), afterImage })
+        }
 
-                // 读取文本内容
-                if (type === 'tEXt') {
-                    // tEXt: 直接读取 Latin-1 文本
-                    const decoder = new TextDecoder('latin1')
-                    text = decoder.decode(chunkData.slice(i))
-                } else if (type === 'iTXt') {
-                    // iTXt: 跳过压缩标志、压缩方法、语言标签、翻译关键字
-                    i++ // 压缩标志
-                    i++ // 压缩方法
-                    while (i < chunkData.length && chunkData[i] !== 0) i++ // 语言标签
-                    i++
-                    while (i < chunkData.length && chunkData[i] !== 0) i++ // 翻译关键字
-                    i++
-                    const decoder = new TextDecoder('utf-8')
-                    text = decoder.decode(chunkData.slice(i))
-                }
+        if (chunks.length > 0) {
+            console.log('提取到 PNG 元数据:', chunks.map(chunk => chunk.type).join(', '))
+            return chunks
+        }
+
+        console.log('PNG 文件中没有找到元数据')
+        return null
+    } catch (err) {
+        console.error('提取 PNG 元数据失败:', err)
+        return null
+    }
+}
+
+/**
+ * 将 PNG 辅助块按原顺序写入 PNG：图像数据之前的块紧跟 IHDR，之后的块放在 IEND 前
+ * 输出中已有的同类块（文本块等可重复的块除外）以写入的块为准，色彩空间块作为一组整体替换
+ * @param {Blob} pngBlob PNG文件Blob
+ * @param {Array<{type: string, data: Uint8Array, afterImage: boolean}>|null} metadata 辅助块列表，见 extractPngMetadata
+ * @returns {Promise<Blob>} 注入元数据后的PNG Blob
+ */
+async function injectPngMetadata(pngBlob, metadata) {
+    if (!metadata || metadata.length === 0) {
+        return pngBlob
+    }
+
+    try {
+        const bytes = new Uint8Array(await pngBlob.arrayBuffer())
+        const types = new Set(metadata.map(chunk => chunk.type))
+        const replacesColorSpace = metadata.some(chunk => PNG_COLOR_SPACE_CHUNKS.includes(chunk.type))
+        const isReplaced = (type) => (types.has(type) && !PNG_REPEATABLE_CHUNKS.includes(type)) ||
+            (replacesColorSpace && PNG_COLOR_SPACE_CHUNKS.includes(type))
 
-                metadata[keyword] = text
+        const parts = [PNG_SIGNATURE]
+        for (const chunk of readPngChunks(bytes)) {
+            if (chunk.type === 'IEND') {
+                parts.push(...metadata.filter(item => item.afterImage).map(item => createPngChunk(item.type, item.data)))
+            }
+            if (!isReplaced(chunk.type)) {
+                parts.push(bytes.subarray(chunk.offset, chunk.offset + chunk.data.length + 12))
             }
+            if (chunk.type === 'IHDR') {
+                parts.push(...metadata.filter(item => !item.afterImage).map(item => createPngChunk(item.type, item.data)))
+            }
+        }
+
+        console.log('PNG 元数据已注入')
+        return new Blob(parts, { type: 'image/png' })
+    } catch (err) {
+        console.error('注入 PNG 元数据失败:', err)
+        return pngBlob
+    }
+}
 
-            offset += length + 4 // 跳过数据和 CRC
+/**
+ * 读取 JPEG 中的所有段，直到图像数据开始（SOS）
+ * @param {Uint8Array} bytes JPEG 字节
+ * @returns {Array<{marker: number, offset: number, length: number}>} 段列表，offset 指向 0xFF，length 含标记
+ */
+function readJpegSegments(bytes) {
+    const segments = []
+    let offset = 2 // 跳过 SOI
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1]
+        if (marker === 0xDA || marker === 0xD9) break
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3]
+        segments.push({ marker, offset, length: length + 2 })
+        offset += length + 2
+    }
+    return segments
+}
 
-            // 如果遇到 IEND 块，停止
+/**
+ * 在图片文件中查找 EXIF 的 TIFF 数据
+ * JPEG 位于 APP1 段（'Exif\0\0' 之后），PNG 位于 eXIf 块，WebP 位于 EXIF 块
+ * @param {Uint8Array} bytes 文件字节
+ * @returns {Uint8Array|null} TIFF 数据（以 II / MM 开头），没有 EXIF 时返回 null
+ */
+function findExifTiff(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        for (const segment of readJpegSegments(bytes)) {
+            if (segment.marker !== 0xE1) continue
+            const header = bytes.subarray(segment.offset + 4, segment.offset + 10)
+            if (String.fromCharCode(...header) === EXIF_HEADER) {
+                return bytes.subarray(segment.offset + 10, segment.offset + segment.length)
+            }
+        }
+        return null
+    }
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+        let offset = 8
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset)
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+            if (type === 'eXIf') return bytes.subarray(offset + 8, offset + 8 + length)
             if (type === 'IEND') break
+            offset += length + 12
         }
+        return null
+    }
 
-        if (Object.keys(metadata).length > 0) {
-            console.log('提取到 PNG 元数据:', metadata)
-            return metadata
+    if (isWebpFile(bytes)) {
+        const chunk = readWebpChunks(bytes).find(c => c.type === 'EXIF')
+        if (!chunk) return null
+        const data = bytes.subarray(chunk.offset + 8, chunk.offset + 8 + chunk.length)
+        // 部分编码器在 WebP 的 EXIF 块中也写入了 'Exif\0\0' 前缀
+        return String.fromCharCode(...data.subarray(0, 6)) === EXIF_HEADER ? data.subarray(6) : data
+    }
+    return null
+}
+
+/**
+ * 解析 EXIF 的 TIFF 数据
+ * 各 IFD 的项按原字节序保存原始值字节，写回时不做任何转换，MakerNote 等未知内容原样保留；
+ * 指向子 IFD 和缩略图的指针项不保存，写入时按新的布局重新生成
+ * @param {Uint8Array} tiff TIFF 数据
+ * @returns {Object} { littleEndian, ifds: { '0th', Exif, GPS, Interop, '1st' }, thumbnail }
+ *   每个 IFD 为 [{ tag, type, count, value: Uint8Array }]，thumbnail 为 JPEG 缩略图字节或 null
+ */
+function parseExif(tiff) {
+    const order = String.fromCharCode(tiff[0], tiff[1])
+    if (order !== 'II' && order !== 'MM') throw new Error('无效的 EXIF 数据')
+    const littleEndian = order === 'II'
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength)
+    if (view.getUint16(2, littleEndian) !== 42) throw new Error('无效的 EXIF 数据')
+
+    const visited = new Set()
+    const readIfd = (offset) => {
+        if (!offset || offset + 2 > tiff.length || visited.has(offset)) return { entries: [], next: 0 }
+        visited.add(offset)
+        const count = view.getUint16(offset, littleEndian)
+        const entries = []
+        for (let i = 0; i < count; i++) {
+            const position = offset + 2 + i * 12
+            if (position + 12 > tiff.length) break
+            const type = view.getUint16(position + 2, littleEndian)
+            const valueCount = view.getUint32(position + 4, littleEndian)
+            // 未知类型无法确定长度，按 4 字节内联值保留
+            const size = EXIF_TYPE_SIZES[type] ? EXIF_TYPE_SIZES[type] * valueCount : 4
+            const valueOffset = size > 4 ? view.getUint32(position + 8, littleEndian) : position + 8
+            if (valueOffset + size > tiff.length) continue
+            entries.push({
+                tag: view.getUint16(position, littleEndian),
+                type,
+                count: valueCount,
+                value: tiff.slice(valueOffset, valueOffset + size)
+            })
         }
+        const nextOffset = offset + 2 + count * 12
+        const next = nextOffset + 4 <= tiff.length ? view.getUint32(nextOffset, littleEndian) : 0
+        return { entries, next }
+    }
+    const pointer = (entries, tag) => {
+        const entry = entries.find(e => e.tag === tag)
+        return entry && entry.value.length >= 4
+            ? new DataView(entry.value.buffer, entry.value.byteOffset).getUint32(0, littleEndian)
+            : 0
+    }
+    const omit = (entries, tags) => entries.filter(e => !tags.includes(e.tag))
 
-        console.log('PNG 文件中没有找到 tEXt 元数据')
-        return null
-    } catch (err) {
-        console.error('提取 PNG 元数据失败:', err)
-        return null
+    const ifd0 = readIfd(view.getUint32(4, littleEndian))
+    const exifIfd = readIfd(pointer(ifd0.entries, EXIF_POINTER_TAGS.Exif))
+    const gpsIfd = readIfd(pointer(ifd0.entries, EXIF_POINTER_TAGS.GPS))
+    const interopIfd = readIfd(pointer(exifIfd.entries, EXIF_POINTER_TAGS.Interop))
+    const ifd1 = readIfd(ifd0.next)
+
+    let thumbnail = null
+    const thumbnailOffset = pointer(ifd1.entries, EXIF_THUMBNAIL_OFFSET_TAG)
+    const thumbnailLength = pointer(ifd1.entries, EXIF_THUMBNAIL_LENGTH_TAG)
+    if (thumbnailOffset && thumbnailLength && thumbnailOffset + thumbnailLength <= tiff.length) {
+        thumbnail = tiff.slice(thumbnailOffset, thumbnailOffset + thumbnailLength)
+    }
+
+    return {
+        littleEndian,
+        ifds: {
+            '0th': omit(ifd0.entries, [EXIF_POINTER_TAGS.Exif, EXIF_POINTER_TAGS.GPS]),
+            Exif: omit(exifIfd.entries, [EXIF_POINTER_TAGS.Interop]),
+            GPS: gpsIfd.entries,
+            Interop: interopIfd.entries,
+            '1st': omit(ifd1.entries, [EXIF_THUMBNAIL_OFFSET_TAG, EXIF_THUMBNAIL_LENGTH_TAG])
+        },
+        thumbnail
     }
 }
 
 /**
- * 提取图片的 EXIF 数据
- * @param {HTMLImageElement} imgElement 图片元素
- * @returns {Promise<Object|null>} EXIF数据对象或null
+ * 将 32 位整数按字节序编码
+ * @param {number} value 数值
+ * @param {boolean} littleEndian 是否小端
+ * @returns {Uint8Array}
  */
-function extractExifData(imgElement) {
-    return new Promise((resolve) => {
-        if (typeof EXIF === 'undefined') {
-            console.warn('EXIF 库未加载')
-            resolve(null)
-            return
+function exifUint32(value, littleEndian) {
+    const bytes = new Uint8Array(4)
+    new DataView(bytes.buffer).setUint32(0, value, littleEndian)
+    return bytes
+}
+
+/**
+ * 将 EXIF 数据写成 TIFF 数据
+ * 依次排列 0th、Exif、GPS、Interop、1st IFD（各自的值紧随其后）和缩略图，指针项按新位置生成
+ * @param {Object} exif EXIF 数据，见 parseExif
+ * @returns {Uint8Array}
+ */
+function serializeExif(exif) {
+    const littleEndian = exif.littleEndian
+    const ifds = exif.ifds
+    const list = (name) => ifds[name] || []
+    const pointerEntry = (tag) => ({ tag, type: 4, count: 1, value: new Uint8Array(4) })
+
+    const hasInterop = list('Interop').length > 0
+    const hasExif = list('Exif').length > 0 || hasInterop
+    const hasGps = list('GPS').length > 0
+    const thumbnail = exif.thumbnail && exif.thumbnail.length ? exif.thumbnail : null
+    const has1st = list('1st').length > 0 || !!thumbnail
+
+    const pointers = {}
+    const layout = [{ name: '0th', entries: [...list('0th')] }]
+    if (hasExif) {
+        pointers.Exif = pointerEntry(EXIF_POINTER_TAGS.Exif)
+        layout[0].entries.push(pointers.Exif)
+        layout.push({ name: 'Exif', entries: [...list('Exif')] })
+    }
+    if (hasGps) {
+        pointers.GPS = pointerEntry(EXIF_POINTER_TAGS.GPS)
+        layout[0].entries.push(pointers.GPS)
+        layout.push({ name: 'GPS', entries: [...list('GPS')] })
+    }
+    if (hasInterop) {
+        pointers.Interop = pointerEntry(EXIF_POINTER_TAGS.Interop)
+        layout[1].entries.push(pointers.Interop)
+        layout.push({ name: 'Interop', entries: [...list('Interop')] })
+    }
+    if (has1st) {
+        const entries = [...list('1st')]
+        if (thumbnail) {
+            pointers.thumbnail = pointerEntry(EXIF_THUMBNAIL_OFFSET_TAG)
+            entries.push(pointers.thumbnail, {
+                tag: EXIF_THUMBNAIL_LENGTH_TAG,
+                type: 4,
+                count: 1,
+                value: exifUint32(thumbnail.length, littleEndian)
+            })
         }
+        layout.push({ name: '1st', entries })
+    }
 
-        EXIF.getData(imgElement, function() {
-            try {
-                const allMetaData = EXIF.getAllTags(this)
-                if (Object.keys(allMetaData).length > 0) {
-                    console.log('提取到 EXIF 数据:', allMetaData)
-                    resolve(allMetaData)
-                } else {
-                    console.log('图片没有 EXIF 数据')
-                    resolve(null)
-                }
-            } catch (err) {
-                console.error('提取 EXIF 失败:', err)
-                resolve(null)
+    // 计算各 IFD 的位置：IFD 本身（项数、各项、下一个 IFD 偏移）之后是超过 4 字节的值，按偶数对齐
+    let offset = 8
+    for (const ifd of layout) {
+        ifd.entries.sort((a, b) => a.tag - b.tag)
+        ifd.offset = offset
+        offset += 2 + ifd.entries.length * 12 + 4
+        for (const entry of ifd.entries) {
+            if (entry.value.length > 4) offset += entry.value.length + (entry.value.length & 1)
+        }
+    }
+    const thumbnailOffset = offset
+    const offsets = Object.fromEntries(layout.map(ifd => [ifd.name, ifd.offset]))
+    for (const name of ['Exif', 'GPS', 'Interop']) {
+        if (pointers[name]) pointers[name].value = exifUint32(offsets[name], littleEndian)
+    }
+    if (pointers.thumbnail) pointers.thumbnail.value = exifUint32(thumbnailOffset, littleEndian)
+
+    const tiff = new Uint8Array(thumbnailOffset + (thumbnail ? thumbnail.length : 0))
+    const view = new DataView(tiff.buffer)
+    tiff.set(littleEndian ? [0x49, 0x49] : [0x4D, 0x4D])
+    view.setUint16(2, 42, littleEndian)
+    view.setUint32(4, 8, littleEndian)
+
+    for (const ifd of layout) {
+        let position = ifd.offset
+        let dataOffset = ifd.offset + 2 + ifd.entries.length * 12 + 4
+        view.setUint16(position, ifd.entries.length, littleEndian)
+        position += 2
+        for (const entry of ifd.entries) {
+            view.setUint16(position, entry.tag, littleEndian)
+            view.setUint16(position + 2, entry.type, littleEndian)
+            view.setUint32(position + 4, entry.count, littleEndian)
+            if (entry.value.length > 4) {
+                view.setUint32(position + 8, dataOffset, littleEndian)
+                tiff.set(entry.value, dataOffset)
+                dataOffset += entry.value.length + (entry.value.length & 1)
+            } else {
+                tiff.set(entry.value, position + 8)
             }
-        })
-    })
+            position += 12
+        }
+        // 只有 0th IFD 链接到 1st IFD
+        view.setUint32(position, ifd.name === '0th' && has1st ? offsets['1st'] : 0, littleEndian)
+    }
+    if (thumbnail) tiff.set(thumbnail, thumbnailOffset)
+    return tiff
 }
 
 /**
- * 将 PNG 元数据注入到 PNG 数据中
- * @param {Blob} pngBlob PNG文件Blob
- * @param {Object} metadata 元数据对象
- * @returns {Promise<Blob>} 注入元数据后的PNG Blob
+ * 解码 EXIF 项的值
+ * @param {Object} entry EXIF 项，见 parseExif
+ * @param {boolean} littleEndian 是否小端
+ * @returns {string|Array<number>|Array<Array<number>>|Uint8Array} ASCII 为字符串，有理数为 [分子, 分母] 数组，
+ *   BYTE / UNDEFINED 及未知类型为原始字节，其余为数值数组
  */
-async function injectPngMetadata(pngBlob, metadata) {
-    if (!metadata || Object.keys(metadata).length === 0) {
-        return pngBlob
+function decodeExifValue(entry, littleEndian) {
+    const { type, value } = entry
+    const view = new DataView(value.buffer, value.byteOffset, value.byteLength)
+    const size = EXIF_TYPE_SIZES[type]
+    if (type === 2) return new TextDecoder('utf-8').decode(value).replace(/\0+$/, '')
+    if (!size || type === 1 || type === 7) return value
+
+    const values = []
+    for (let offset = 0; offset + size <= value.length; offset += size) {
+        switch (type) {
+            case 3: values.push(view.getUint16(offset, littleEndian)); break
+            case 4: case 13: values.push(view.getUint32(offset, littleEndian)); break
+            case 5: values.push([view.getUint32(offset, littleEndian), view.getUint32(offset + 4, littleEndian)]); break
+            case 6: values.push(view.getInt8(offset)); break
+            case 8: values.push(view.getInt16(offset, littleEndian)); break
+            case 9: values.push(view.getInt32(offset, littleEndian)); break
+            case 10: values.push([view.getInt32(offset, littleEndian), view.getInt32(offset + 4, littleEndian)]); break
+            case 11: values.push(view.getFloat32(offset, littleEndian)); break
+            case 12: values.push(view.getFloat64(offset, littleEndian)); break
+        }
     }
+    return values
+}
+
+/**
+ * 查找 EXIF 项
+ * @param {Object} exif EXIF 数据，见 parseExif
+ * @param {string} ifd IFD 名称
+ * @param {number} tag 标签号
+ * @returns {Object|null}
+ */
+function getExifEntry(exif, ifd, tag) {
+    return (exif.ifds[ifd] || []).find(entry => entry.tag === tag) || null
+}
+
+/**
+ * 生成 JPEG 的 EXIF（APP1）段
+ * @param {Object} exif EXIF 数据，见 parseExif
+ * @returns {Uint8Array|null} 超过段长度上限（64KB）时先去掉缩略图，仍然过长时返回 null
+ */
+function createExifSegment(exif) {
+    let tiff = serializeExif(exif)
+    if (tiff.length + 8 > 0xFFFF && exif.thumbnail) {
+        console.warn('EXIF 数据过长，已去掉缩略图')
+        tiff = serializeExif({ ...exif, thumbnail: null })
+    }
+    if (tiff.length + 8 > 0xFFFF) {
+        console.warn('EXIF 数据过长，未写入')
+        return null
+    }
+    const segment = new Uint8Array(10 + tiff.length)
+    segment.set([0xFF, 0xE1, (tiff.length + 8) >> 8, (tiff.length + 8) & 0xFF])
+    segment.set(Array.from(EXIF_HEADER, c => c.charCodeAt(0)), 4)
+    segment.set(tiff, 10)
+    return segment
+}
 
+/**
+ * 从图片文件中提取 EXIF 数据（JPEG、PNG、WebP）
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<Object|null>} EXIF 数据（见 parseExif），没有 EXIF 时返回 null
+ */
+async function extractExifData(blob) {
     try {
-        const arrayBuffer = await pngBlob.arrayBuffer()
-        const bytes = new Uint8Array(arrayBuffer)
+        const tiff = findExifTiff(new Uint8Array(await blob.arrayBuffer()))
+        if (!tiff) {
+            console.log('图片没有 EXIF 数据')
+            return null
+        }
+        const exif = parseExif(tiff)
+        console.log('提取到 EXIF 数据:', Object.fromEntries(Object.entries(exif.ifds).map(([name, entries]) => [name, entries.length])))
+        return exif
+    } catch (err) {
+        console.error('提取 EXIF 失败:', err)
+        return null
+    }
+}
 
-        // 创建 tEXt 块的函数
-        function createTextChunk(keyword, text) {
-            const encoder = new TextEncoder()
-            const keywordBytes = encoder.encode(keyword)
-            const textBytes = encoder.encode(text)
-            const chunkData = new Uint8Array(keywordBytes.length + 1 + textBytes.length)
+/**
+ * 生成写入输出图片的 EXIF：输出的像素已经是正向的，方向固定为 1，避免查看器再次旋转
+ * @param {Object} exifData EXIF 数据，见 parseExif
+ * @param {boolean} keepThumbnail 是否保留缩略图（混淆结果不保留，否则会泄露原图）
+ * @returns {Object}
+ */
+function prepareOutputExif(exifData, keepThumbnail) {
+    const exif = {
+        ...exifData,
+        ifds: { ...exifData.ifds },
+        thumbnail: keepThumbnail ? exifData.thumbnail : null
+    }
+    const orientation = getExifEntry(exif, '0th', 0x0112)
+    if (orientation) {
+        const value = new Uint8Array(2)
+        new DataView(value.buffer).setUint16(0, 1, exif.littleEndian)
+        exif.ifds['0th'] = exif.ifds['0th'].map(entry => entry === orientation ? { ...entry, type: 3, count: 1, value } : entry)
+    }
+    return exif
+}
 
-            chunkData.set(keywordBytes, 0)
-            chunkData[keywordBytes.length] = 0 // null 分隔符
-            chunkData.set(textBytes, keywordBytes.length + 1)
+/**
+ * 将 EXIF 数据写入 JPEG（替换已有的 EXIF 段，否则放在 SOI / JFIF 段之后），方向固定为 1
+ * @param {Blob} jpegBlob JPEG 文件
+ * @param {Object|null} exifData EXIF 数据，见 parseExif
+ * @param {boolean} keepThumbnail 是否保留缩略图（混淆结果不保留，否则会泄露原图）
+ * @returns {Promise<Blob>} 写入 EXIF 后的 JPEG
+ */
+async function injectExifToJpeg(jpegBlob, exifData, keepThumbnail = true) {
+    if (!exifData) return jpegBlob
 
-            // 创建完整的块：长度 + 类型 + 数据 + CRC
-            const chunk = new Uint8Array(4 + 4 + chunkData.length + 4)
-            const view = new DataView(chunk.buffer)
+    try {
+        const segment = createExifSegment(prepareOutputExif(exifData, keepThumbnail))
+        if (!segment) return jpegBlob
 
-            // 长度
-            view.setUint32(0, chunkData.length, false)
+        const bytes = new Uint8Array(await jpegBlob.arrayBuffer())
+        let insertAt = 2
+        let removeEnd = 2
+        for (const existing of readJpegSegments(bytes)) {
+            const isExif = existing.marker === 0xE1 &&
+                String.fromCharCode(...bytes.subarray(existing.offset + 4, existing.offset + 10)) === EXIF_HEADER
+            if (isExif) {
+                insertAt = existing.offset
+                removeEnd = existing.offset + existing.length
+                break
+            }
+            if (existing.marker !== 0xE0) break
+            insertAt = removeEnd = existing.offset + existing.length
+        }
 
-            // 类型 "tEXt"
-            chunk[4] = 116 // 't'
-            chunk[5] = 69  // 'E'
-            chunk[6] = 88  // 'X'
-            chunk[7] = 116 // 't'
+        console.log('EXIF 数据已写入新图片')
+        return new Blob([bytes.subarray(0, insertAt), segment, bytes.subarray(removeEnd)], { type: 'image/jpeg' })
+    } catch (err) {
+        console.error('写入 EXIF 失败:', err)
+        return jpegBlob
+    }
+}
 
-            // 数据
-            chunk.set(chunkData, 8)
+/**
+ * 是否为存放 XMP 的 JPEG APP1 段
+ * @param {Uint8Array} bytes JPEG 字节
+ * @param {Object} segment 段，见 readJpegSegments
+ * @returns {boolean}
+ */
+function isXmpJpegSegment(bytes, segment) {
+    return segment.marker === 0xE1 &&
+        decodeLatin1(bytes.subarray(segment.offset + 4, segment.offset + 4 + XMP_JPEG_HEADER.length)) === XMP_JPEG_HEADER
+}
 
-            // CRC
-            const crc = calculateCRC(chunk.slice(4, 8 + chunkData.length))
-            view.setUint32(8 + chunkData.length, crc, false)
+/**
+ * 从图片文件中提取 XMP 数据包（JPEG APP1 段、PNG iTXt 块、WebP XMP 块）
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<string|null>} XMP 文本，没有 XMP 时返回 null
+ */
+async function extractXmpData(blob) {
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+        const utf8 = new TextDecoder('utf-8')
+        let xmp = null
 
-            return chunk
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            const segment = readJpegSegments(bytes).find(s => isXmpJpegSegment(bytes, s))
+            if (segment) xmp = utf8.decode(bytes.subarray(segment.offset + 4 + XMP_JPEG_HEADER.length, segment.offset + segment.length))
+        } else if (isPngFile(bytes)) {
+            const chunk = readPngChunks(bytes).find(c => PNG_TEXT_CHUNKS.includes(c.type) && readPngTextKeyword(c.data) === XMP_PNG_KEYWORD)
+            if (chunk) xmp = (await decodePngText(chunk.type, chunk.data)).text
+        } else if (isWebpFile(bytes)) {
+            const chunk = readWebpChunks(bytes).find(c => c.type === 'XMP ')
+            if (chunk) xmp = utf8.decode(bytes.subarray(chunk.offset + 8, chunk.offset + 8 + chunk.length))
         }
 
-        // CRC32 计算
-        function calculateCRC(data) {
-            let crc = 0xFFFFFFFF
-            for (let i = 0; i < data.length; i++) {
-                crc = crc ^ data[i]
-                for (let j = 0; j < 8; j++) {
-                    crc = (crc >>> 1) ^ ((crc & 1) ? 0xEDB88320 : 0)
-                }
+        if (xmp) console.log(`提取到 XMP 数据: ${xmp.length} 字符`)
+        return xmp || null
+    } catch (err) {
+        console.error('提取 XMP 失败:', err)
+        return null
+    }
+}
+
+/**
+ * 生成 PNG 中存放 XMP 的 iTXt 块（按 XMP 规范不压缩）
+ * @param {string} xmp XMP 文本
+ * @returns {{type: string, data: Uint8Array, afterImage: boolean}} 见 extractPngMetadata
+ */
+function createXmpPngChunk(xmp) {
+    const data = concatBytes([encodeLatin1(XMP_PNG_KEYWORD), Uint8Array.of(0, 0, 0, 0, 0), new TextEncoder().encode(xmp)])
+    return { type: 'iTXt', data, afterImage: false }
+}
+
+/**
+ * 去掉 XMP 中的缩略图（xmp:Thumbnails，Base64 编码的 JPEG），混淆结果不保留，以免泄露原图
+ * @param {string} xmp XMP 文本
+ * @returns {string}
+ */
+function removeXmpThumbnails(xmp) {
+    return xmp.replace(/<xmp:Thumbnails\b[\s\S]*?<\/xmp:Thumbnails>|<xmp:Thumbnails\b[^>]*\/>/g, '')
+}
+
+/**
+ * 将 XMP 数据包写入 JPEG（替换已有的 XMP 段，否则放在 JFIF / EXIF 段之后）
+ * 不支持扩展 XMP，超过单个段的长度上限（约 64KB）时不写入
+ * @param {Blob} jpegBlob JPEG 文件
+ * @param {string|null} xmp XMP 文本
+ * @returns {Promise<Blob>} 写入 XMP 后的 JPEG
+ */
+async function injectXmpToJpeg(jpegBlob, xmp) {
+    if (!xmp) return jpegBlob
+
+    try {
+        const payload = concatBytes([encodeLatin1(XMP_JPEG_HEADER), new TextEncoder().encode(xmp)])
+        if (payload.length + 2 > 0xFFFF) {
+            console.warn('XMP 数据过长，未写入')
+            return jpegBlob
+        }
+        const segment = concatBytes([Uint8Array.of(0xFF, 0xE1, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF), payload])
+
+        const bytes = new Uint8Array(await jpegBlob.arrayBuffer())
+        let insertAt = 2
+        let removeEnd = 2
+        for (const existing of readJpegSegments(bytes)) {
+            if (isXmpJpegSegment(bytes, existing)) {
+                insertAt = existing.offset
+                removeEnd = existing.offset + existing.length
+                break
             }
-            return (crc ^ 0xFFFFFFFF) >>> 0
+            if (existing.marker !== 0xE0 && existing.marker !== 0xE1) break
+            insertAt = removeEnd = existing.offset + existing.length
         }
 
-        // 找到 IDAT 块的位置（在它之前插入 tEXt 块）
-        let idatOffset = 8
-        while (idatOffset < bytes.length) {
-            const type = String.fromCharCode(bytes[idatOffset + 4], bytes[idatOffset + 5],
-                                            bytes[idatOffset + 6], bytes[idatOffset + 7])
-            if (type === 'IDAT') break
+        console.log('XMP 数据已写入新图片')
+        return new Blob([bytes.subarray(0, insertAt), segment, bytes.subarray(removeEnd)], { type: 'image/jpeg' })
+    } catch (err) {
+        console.error('写入 XMP 失败:', err)
+        return jpegBlob
+    }
+}
+
+/**
+ * 将 EXIF 和 XMP 写入 WebP（EXIF、XMP 块），并在 VP8X 块中设置对应的标志，EXIF 方向固定为 1
+ * @param {Blob} webpBlob WebP 文件
+ * @param {Object|null} exifData EXIF 数据，见 parseExif
+ * @param {string|null} xmp XMP 文本
+ * @param {boolean} keepThumbnail 是否保留 EXIF 缩略图
+ * @returns {Promise<Blob>} 写入元数据后的 WebP
+ */
+async function injectWebpMetadata(webpBlob, exifData, xmp, keepThumbnail = true) {
+    if (!exifData && !xmp) return webpBlob
 
-            const length = (bytes[idatOffset] << 24) | (bytes[idatOffset + 1] << 16) |
-                          (bytes[idatOffset + 2] << 8) | bytes[idatOffset + 3]
-            idatOffset += 4 + 4 + length + 4
+    try {
+        let bytes = new Uint8Array(await webpBlob.arrayBuffer())
+        let flags = 0
+        if (exifData) {
+            bytes = appendWebpChunk(bytes, 'EXIF', serializeExif(prepareOutputExif(exifData, keepThumbnail)))
+            flags |= WEBP_EXIF_FLAG
         }
+        if (xmp) {
+            bytes = appendWebpChunk(bytes, 'XMP ', new TextEncoder().encode(xmp))
+            flags |= WEBP_XMP_FLAG
+        }
+        // appendWebpChunk 已保证第一个块是 VP8X，标志位于其数据的第一个字节
+        bytes[readWebpChunks(bytes)[0].offset + 8] |= flags
+
+        console.log('元数据已写入 WebP')
+        return new Blob([bytes], { type: 'image/webp' })
+    } catch (err) {
+        console.error('写入 WebP 元数据失败:', err)
+        return webpBlob
+    }
+}
+
+/**
+ * 是否为存放 ICC 配置的 JPEG APP2 段
+ * @param {Uint8Array} bytes JPEG 字节
+ * @param {Object} segment 段，见 readJpegSegments
+ * @returns {boolean}
+ */
+function isIccJpegSegment(bytes, segment) {
+    return segment.marker === 0xE2 &&
+        decodeLatin1(bytes.subarray(segment.offset + 4, segment.offset + 4 + ICC_JPEG_HEADER.length)) === ICC_JPEG_HEADER
+}
+
+/**
+ * 从图片文件中提取 ICC 色彩配置（JPEG APP2 段、PNG iCCP 块、WebP ICCP 块）
+ * 处理结果总是 RGB 像素，灰度、CMYK 等其他颜色模型的配置不适用，不提取
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<Uint8Array|null>} 配置数据，没有时返回 null
+ */
+async function extractIccProfile(blob) {
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+        let profile = null
 
-        // 构建新的 PNG
-        const textChunks = []
-        for (const [keyword, text] of Object.entries(metadata)) {
-            textChunks.push(createTextChunk(keyword, text))
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            // 较大的配置分成多个段，按序号拼接
+            const parts = readJpegSegments(bytes)
+                .filter(s => isIccJpegSegment(bytes, s))
+                .map(s => ({
+                    index: bytes[s.offset + 4 + ICC_JPEG_HEADER.length],
+                    data: bytes.subarray(s.offset + 6 + ICC_JPEG_HEADER.length, s.offset + s.length)
+                }))
+                .sort((a, b) => a.index - b.index)
+            if (parts.length > 0) profile = concatBytes(parts.map(part => part.data))
+        } else if (isPngFile(bytes)) {
+            const chunk = readPngChunks(bytes).find(c => c.type === 'iCCP')
+            // 配置名称以 0 结尾，之后是 1 字节压缩方法和 zlib 数据
+            if (chunk) profile = await inflateBytes(chunk.data.subarray(chunk.data.indexOf(0) + 2))
+        } else if (isWebpFile(bytes)) {
+            const chunk = readWebpChunks(bytes).find(c => c.type === 'ICCP')
+            if (chunk) profile = bytes.slice(chunk.offset + 8, chunk.offset + 8 + chunk.length)
         }
 
-        const totalTextLength = textChunks.reduce((sum, chunk) => sum + chunk.length, 0)
-        const newBytes = new Uint8Array(bytes.length + totalTextLength)
+        if (!profile) return null
+        // 配置头的第 16-19 字节为数据的颜色模型
+        if (profile.length < 132 || decodeLatin1(profile.subarray(16, 20)) !== 'RGB ') {
+            console.log('ICC 配置不是 RGB 颜色模型，忽略')
+            return null
+        }
+        console.log(`提取到 ICC 配置: ${profile.length} 字节`)
+        return profile
+    } catch (err) {
+        console.error('提取 ICC 配置失败:', err)
+        return null
+    }
+}
 
-        // 复制 PNG 头和 IHDR 等块
-        newBytes.set(bytes.slice(0, idatOffset), 0)
+/**
+ * 替换 JPEG 中的 ICC 配置：去掉已有的 APP2 配置段，新配置分段放在 JFIF / EXIF / XMP 段之后
+ * @param {Uint8Array} bytes JPEG 字节
+ * @param {Uint8Array|null} profile ICC 配置，为 null 时只去掉已有的配置
+ * @returns {Uint8Array}
+ */
+function replaceJpegIccSegments(bytes, profile) {
+    const segments = readJpegSegments(bytes)
+    let insertAt = 2
+    for (const segment of segments) {
+        if (segment.marker !== 0xE0 && segment.marker !== 0xE1) break
+        insertAt = segment.offset + segment.length
+    }
 
-        // 插入 tEXt 块
-        let offset = idatOffset
-        for (const chunk of textChunks) {
-            newBytes.set(chunk, offset)
-            offset += chunk.length
+    const parts = [bytes.subarray(0, insertAt)]
+    if (profile) {
+        const count = Math.ceil(profile.length / ICC_JPEG_SEGMENT_SIZE)
+        for (let i = 0; i < count; i++) {
+            const data = profile.subarray(i * ICC_JPEG_SEGMENT_SIZE, (i + 1) * ICC_JPEG_SEGMENT_SIZE)
+            const length = 2 + ICC_JPEG_HEADER.length + 2 + data.length
+            parts.push(Uint8Array.of(0xFF, 0xE2, length >> 8, length & 0xFF), encodeLatin1(ICC_JPEG_HEADER), Uint8Array.of(i + 1, count), data)
         }
+    }
+    // APP2 段不会出现在开头的 APP0 / APP1 段之中
+    let position = insertAt
+    for (const segment of segments.filter(s => isIccJpegSegment(bytes, s))) {
+        parts.push(bytes.subarray(position, segment.offset))
+        position = segment.offset + segment.length
+    }
+    parts.push(bytes.subarray(position))
+    return concatBytes(parts)
+}
 
-        // 复制剩余部分（IDAT 和后续块）
-        newBytes.set(bytes.slice(idatOffset), offset)
+/**
+ * 替换 WebP 中的 ICC 配置：ICCP 块按规范紧跟 VP8X 块，并设置 VP8X 中的标志
+ * @param {Uint8Array} bytes WebP 文件字节
+ * @param {Uint8Array|null} profile ICC 配置，为 null 时只去掉已有的配置
+ * @returns {Uint8Array}
+ */
+function replaceWebpIccChunk(bytes, profile) {
+    if (profile) bytes = toExtendedWebp(bytes)
+    const parts = []
+    for (const chunk of readWebpChunks(bytes)) {
+        if (chunk.type === 'ICCP') continue
+        parts.push(bytes.subarray(chunk.offset, chunk.offset + 8 + chunk.length + (chunk.length & 1)))
+        if (chunk.type === 'VP8X' && profile) parts.push(createWebpChunk('ICCP', profile))
+    }
 
-        console.log('PNG 元数据已注入')
-        return new Blob([newBytes], { type: 'image/png' })
+    const result = createWebpFile(parts)
+    const first = readWebpChunks(result)[0]
+    if (first && first.type === 'VP8X') {
+        const flags = first.offset + 8
+        result[flags] = profile ? result[flags] | WEBP_ICC_FLAG : result[flags] & ~WEBP_ICC_FLAG
+    }
+    return result
+}
+
+/**
+ * 将 ICC 配置写入 JPEG（APP2 段）或 WebP（ICCP 块），替换输出中已有的配置（如浏览器按画布色彩空间写入的）
+ * PNG 的 iCCP 块随辅助块列表写入，见 addIccPngChunk
+ * @param {Blob} blob JPEG 或 WebP 文件
+ * @param {Uint8Array|null} profile ICC 配置，见 extractIccProfile
+ * @returns {Promise<Blob>} 写入配置后的图片
+ */
+async function injectIccProfile(blob, profile) {
+    if (!profile) return blob
+
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            if (Math.ceil(profile.length / ICC_JPEG_SEGMENT_SIZE) > 255) {
+                console.warn('ICC 配置过大，未写入')
+                return blob
+            }
+            blob = new Blob([replaceJpegIccSegments(bytes, profile)], { type: 'image/jpeg' })
+        } else if (isWebpFile(bytes)) {
+            blob = new Blob([replaceWebpIccChunk(bytes, profile)], { type: 'image/webp' })
+        } else {
+            return blob
+        }
+
+        console.log('ICC 配置已写入新图片')
+        return blob
     } catch (err) {
-        console.error('注入 PNG 元数据失败:', err)
-        return pngBlob
+        console.error('写入 ICC 配置失败:', err)
+        return blob
+    }
+}
+
+/**
+ * 在 PNG 辅助块列表中加入 ICC 配置（iCCP 块），并去掉与之冲突的其他色彩空间块
+ * 列表中已有 iCCP 块（原图就是带配置的 PNG）时保留原块，不重新生成
+ * @param {Array<Object>|null} chunks 辅助块列表，见 extractPngMetadata
+ * @param {Uint8Array|null} profile ICC 配置，见 extractIccProfile
+ * @returns {Promise<Array<Object>|null>}
+ */
+async function addIccPngChunk(chunks, profile) {
+    if (!profile || (chunks && chunks.some(chunk => chunk.type === 'iCCP'))) return chunks
+    // 配置名称、0 分隔符、压缩方法（0 为 zlib），之后为压缩的配置数据
+    const data = concatBytes([encodeLatin1(ICC_PNG_NAME), Uint8Array.of(0, 0), await deflateBytes(profile)])
+    return [
+        { type: 'iCCP', data, afterImage: false },
+        ...(chunks || []).filter(chunk => !PNG_COLOR_SPACE_CHUNKS.includes(chunk.type))
+    ]
+}
+
+/**
+ * 去掉图片文件中的色彩配置（ICC 配置，PNG 还包括 sRGB、gAMA 等色彩空间块）
+ * 浏览器把不带配置的图片当作 sRGB，绘制时不做颜色转换，像素保持文件中的原始数值
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<Blob>}
+ */
+async function removeIccProfile(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return new Blob([replaceJpegIccSegments(bytes, null)], { type: 'image/jpeg' })
+    }
+    if (isPngFile(bytes)) {
+        const parts = [PNG_SIGNATURE]
+        for (const chunk of readPngChunks(bytes)) {
+            if (PNG_COLOR_SPACE_CHUNKS.includes(chunk.type)) continue
+            parts.push(bytes.subarray(chunk.offset, chunk.offset + chunk.data.length + 12))
+        }
+        return new Blob(parts, { type: 'image/png' })
+    }
+    if (isWebpFile(bytes)) {
+        return new Blob([replaceWebpIccChunk(bytes, null)], { type: 'image/webp' })
+    }
+    return blob
+}
+
+/**
+ * 读取 GIF 中以 0 结尾的数据子块
+ * @param {Uint8Array} bytes 文件字节
+ * @param {number} offset 第一个子块的位置
+ * @returns {{blocks: Array<Uint8Array>, end: number}} 各子块数据及结束位置（终止块之后）
+ */
+function readGifSubBlocks(bytes, offset) {
+    const blocks = []
+    while (offset < bytes.length && bytes[offset] !== 0) {
+        const size = bytes[offset]
+        blocks.push(bytes.subarray(offset + 1, offset + 1 + size))
+        offset += size + 1
+    }
+    return { blocks, end: offset + 1 }
+}
+
+/**
+ * 解析 GIF 文件结构（不解码图像数据）
+ * @param {Uint8Array} bytes GIF 文件字节
+ * @returns {Object} { width, height, globalPalette, loopCount, comments, blocksOffset, frames }
+ *   loopCount 为 NETSCAPE2.0 扩展中的重复次数（0 为无限循环），没有该扩展时为 null；
+ *   blocksOffset 为全局色表之后第一个块的位置；
+ *   frames 为 { x, y, width, height, palette, interlaced, minCodeSize, data, delay, disposal, transparentIndex }
+ */
+function parseGif(bytes) {
+    const header = String.fromCharCode(...bytes.subarray(0, 6))
+    if (header !== 'GIF87a' && header !== 'GIF89a') throw new Error('不是有效的 GIF 文件')
+
+    const u16 = (offset) => bytes[offset] | (bytes[offset + 1] << 8)
+    const width = u16(6)
+    const height = u16(8)
+    const packed = bytes[10]
+    let offset = 13
+    let globalPalette = null
+    if (packed & 0x80) {
+        const size = 3 << ((packed & 7) + 1)
+        globalPalette = bytes.subarray(offset, offset + size)
+        offset += size
     }
+
+    const result = { width, height, globalPalette, loopCount: null, comments: [], blocksOffset: offset, frames: [] }
+    let control = null
+    while (offset < bytes.length) {
+        const introducer = bytes[offset]
+        if (introducer === 0x3B) break
+
+        if (introducer === 0x21) {
+            const label = bytes[offset + 1]
+            const { blocks, end } = readGifSubBlocks(bytes, offset + 2)
+            if (label === 0xF9 && blocks[0] && blocks[0].length >= 4) {
+                const block = blocks[0]
+                control = {
+                    disposal: (block[0] >> 2) & 7,
+                    transparentIndex: (block[0] & 1) ? block[3] : -1,
+                    delay: (block[1] | (block[2] << 8)) * 10
+                }
+            } else if (label === 0xFF && blocks[0] && String.fromCharCode(...blocks[0]) === 'NETSCAPE2.0' &&
+                       blocks[1] && blocks[1][0] === 1) {
+                result.loopCount = blocks[1][1] | (blocks[1][2] << 8)
+            } else if (label === 0xFE) {
+                result.comments.push(decodeLatin1(concatBytes(blocks)))
+            }
+            offset = end
+        } else if (introducer === 0x2C) {
+            const flags = bytes[offset + 9]
+            const frame = {
+                x: u16(offset + 1),
+                y: u16(offset + 3),
+                width: u16(offset + 5),
+                height: u16(offset + 7),
+                interlaced: (flags & 0x40) !== 0,
+                palette: globalPalette,
+                delay: control ? control.delay : 0,
+                disposal: control ? control.disposal : 0,
+                transparentIndex: control ? control.transparentIndex : -1
+            }
+            offset += 10
+            if (flags & 0x80) {
+                const size = 3 << ((flags & 7) + 1)
+                frame.palette = bytes.subarray(offset, offset + size)
+                offset += size
+            }
+            frame.minCodeSize = bytes[offset]
+            const { blocks, end } = readGifSubBlocks(bytes, offset + 1)
+            frame.data = concatBytes(blocks)
+            result.frames.push(frame)
+            control = null
+            offset = end
+        } else {
+            // 文件损坏时保留已读到的帧
+            break
+        }
+    }
+    return result
 }
 
 /**
- * 从 Data URL 中提取 EXIF 数据并注入到新图片
- * @param {string} dataUrl Data URL格式的图片
- * @param {Object} exifData EXIF数据对象
- * @returns {string} 注入EXIF后的Data URL
+ * 将数据写成以 0 结尾的 GIF 子块
+ * @param {Uint8Array} data 数据
+ * @returns {Uint8Array}
  */
-function injectExifToDataUrl(dataUrl, exifData) {
-    if (!exifData || typeof piexif === 'undefined') {
-        return dataUrl
+function writeGifSubBlocks(data) {
+    const parts = []
+    for (let offset = 0; offset < data.length; offset += GIF_SUB_BLOCK_SIZE) {
+        const block = data.subarray(offset, offset + GIF_SUB_BLOCK_SIZE)
+        parts.push(Uint8Array.of(block.length), block)
     }
+    parts.push(Uint8Array.of(0))
+    return concatBytes(parts)
+}
+
+/**
+ * 在 GIF 文件开头（全局色表之后）插入注释扩展
+ * @param {Uint8Array} bytes GIF 文件字节
+ * @param {string} text 注释文本
+ * @returns {Uint8Array} 新的文件字节
+ */
+function insertGifComment(bytes, text) {
+    const offset = parseGif(bytes).blocksOffset
+    const comment = concatBytes([Uint8Array.of(0x21, 0xFE), writeGifSubBlocks(new TextEncoder().encode(text))])
+    return concatBytes([bytes.subarray(0, offset), comment, bytes.subarray(offset)])
+}
 
+/**
+ * 从图片文件中读取混淆签名（PNG tEXt 块、JPEG COM 段、WebP SCRM 块或 GIF 注释扩展）
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<string|null>} 签名文本，没有签名时返回 null
+ */
+async function readScrambleSignature(blob) {
     try {
-        // 从原始 EXIF 数据构建 piexif 格式的数据
-        const exifObj = {
-            "0th": {},
-            "Exif": {},
-            "GPS": {},
-            "Interop": {},
-            "1st": {},
-            "thumbnail": null
+        const bytes = new Uint8Array(await blob.arrayBuffer())
+
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+            let offset = 8
+            while (offset + 8 <= bytes.length) {
+                const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) |
+                               (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0
+                const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5],
+                                                bytes[offset + 6], bytes[offset + 7])
+                if (type === 'tEXt') {
+                    const text = decodeLatin1(bytes.subarray(offset + 8, offset + 8 + length))
+                    if (text.startsWith(SCRAMBLE_SIGNATURE_KEYWORD + '\0')) {
+                        return text.slice(SCRAMBLE_SIGNATURE_KEYWORD.length + 1)
+                    }
+                }
+                if (type === 'IEND') break
+                offset += length + 12
+            }
+            return null
+        }
+
+        if (isWebpFile(bytes)) {
+            const chunk = readWebpChunks(bytes).find(c => c.type === SCRAMBLE_SIGNATURE_WEBP_CHUNK)
+            return chunk ? new TextDecoder('utf-8').decode(bytes.subarray(chunk.offset + 8, chunk.offset + 8 + chunk.length)) : null
         }
 
-        // 保留常见的 EXIF 字段
-        if (exifData.Make) exifObj["0th"][piexif.ImageIFD.Make] = exifData.Make
-        if (exifData.Model) exifObj["0th"][piexif.ImageIFD.Model] = exifData.Model
-        if (exifData.Software) exifObj["0th"][piexif.ImageIFD.Software] = exifData.Software
-        if (exifData.DateTime) exifObj["0th"][piexif.ImageIFD.DateTime] = exifData.DateTime
-        if (exifData.Artist) exifObj["0th"][piexif.ImageIFD.Artist] = exifData.Artist
-        if (exifData.Copyright) exifObj["0th"][piexif.ImageIFD.Copyright] = exifData.Copyright
-
-        // Exif 字段
-        if (exifData.DateTimeOriginal) exifObj["Exif"][piexif.ExifIFD.DateTimeOriginal] = exifData.DateTimeOriginal
-        if (exifData.DateTimeDigitized) exifObj["Exif"][piexif.ExifIFD.DateTimeDigitized] = exifData.DateTimeDigitized
-        if (exifData.ExposureTime) exifObj["Exif"][piexif.ExifIFD.ExposureTime] = exifData.ExposureTime
-        if (exifData.FNumber) exifObj["Exif"][piexif.ExifIFD.FNumber] = exifData.FNumber
-        if (exifData.ISO) exifObj["Exif"][piexif.ExifIFD.ISOSpeedRatings] = exifData.ISO
-        if (exifData.FocalLength) exifObj["Exif"][piexif.ExifIFD.FocalLength] = exifData.FocalLength
-        if (exifData.LensModel) exifObj["Exif"][piexif.ExifIFD.LensModel] = exifData.LensModel
-
-        // GPS 数据
-        if (exifData.GPSLatitude) exifObj["GPS"][piexif.GPSIFD.GPSLatitude] = exifData.GPSLatitude
-        if (exifData.GPSLongitude) exifObj["GPS"][piexif.GPSIFD.GPSLongitude] = exifData.GPSLongitude
-
-        const exifBytes = piexif.dump(exifObj)
-        const newDataUrl = piexif.insert(exifBytes, dataUrl)
-        console.log('EXIF 数据已注入到新图片')
-        return newDataUrl
+        if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+            const comment = parseGif(bytes).comments.find(text => text.startsWith(SCRAMBLE_SIGNATURE_PREFIX))
+            return comment ? comment.slice(SCRAMBLE_SIGNATURE_PREFIX.length) : null
+        }
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            for (const segment of readJpegSegments(bytes)) {
+                if (segment.marker !== 0xFE) continue
+                const text = new TextDecoder('utf-8').decode(bytes.subarray(segment.offset + 4, segment.offset + segment.length))
+                if (text.startsWith(SCRAMBLE_SIGNATURE_PREFIX)) {
+                    return text.slice(SCRAMBLE_SIGNATURE_PREFIX.length)
+                }
+            }
+        }
+        return null
     } catch (err) {
-        console.error('注入 EXIF 失败:', err)
-        return dataUrl
+        console.error('读取混淆签名失败:', err)
+        return null
+    }
+}
+
+/**
+ * 将混淆签名写入图片文件（PNG 写入 tEXt 块，JPEG 写入 COM 段，WebP 写入 SCRM 块，GIF 写入注释扩展）
+ * @param {Blob} blob 图片文件
+ * @param {string} text 签名文本
+ * @returns {Promise<Blob>} 写入签名后的图片
+ */
+async function writeScrambleSignature(blob, text) {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+        // 签名固定写入不压缩的 tEXt 块
+        const chunk = await encodePngText(SCRAMBLE_SIGNATURE_KEYWORD, text, false)
+        return injectPngMetadata(blob, [{ ...chunk, afterImage: false }])
+    }
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        const payload = new TextEncoder().encode(SCRAMBLE_SIGNATURE_PREFIX + text)
+        if (payload.length > 65533) throw new Error('混淆签名过长')
+
+        // COM 段放在所有 APPn 段之后，避免影响 EXIF 等段的位置
+        let insertAt = 2
+        for (const segment of readJpegSegments(bytes)) {
+            if (segment.marker < 0xE0 || segment.marker > 0xEF) break
+            insertAt = segment.offset + segment.length
+        }
+
+        const comment = new Uint8Array(4 + payload.length)
+        comment[0] = 0xFF
+        comment[1] = 0xFE
+        comment[2] = (payload.length + 2) >> 8
+        comment[3] = (payload.length + 2) & 0xFF
+        comment.set(payload, 4)
+
+        return new Blob([bytes.subarray(0, insertAt), comment, bytes.subarray(insertAt)], { type: 'image/jpeg' })
+    }
+
+    if (isWebpFile(bytes)) {
+        const payload = new TextEncoder().encode(text)
+        return new Blob([appendWebpChunk(bytes, SCRAMBLE_SIGNATURE_WEBP_CHUNK, payload)], { type: 'image/webp' })
+    }
+
+    if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+        return new Blob([insertGifComment(bytes, SCRAMBLE_SIGNATURE_PREFIX + text)], { type: 'image/gif' })
     }
+
+    console.warn('不支持的图片格式，未写入混淆签名')
+    return blob
 }
 
 /**
@@ -285,17 +1434,60 @@ function injectExifToDataUrl(dataUrl, exifData) {
 function resetMetadata() {
     originalExifData = null
     originalPngMetadata = null
-    originalImageFormat = 'jpeg'
+    originalXmpData = null
+    originalImageFormat = null
+    scrambleSignature = null
+    iccProfile = null
+}
+
+/**
+ * 获取当前图片的混淆签名
+ * @returns {Object|null}
+ */
+function getScrambleSignature() {
+    return scrambleSignature
+}
+
+/**
+ * 设置当前图片的混淆签名
+ * @param {Object|null} signature 签名对象
+ */
+function setScrambleSignature(signature) {
+    scrambleSignature = signature
+}
+
+/**
+ * 获取当前图片的 ICC 色彩配置
+ * @returns {Uint8Array|null}
+ */
+function getIccProfile() {
+    return iccProfile
+}
+
+/**
+ * 设置当前图片的 ICC 色彩配置
+ * @param {Uint8Array|null} profile 配置数据，见 extractIccProfile
+ */
+function setIccProfile(profile) {
+    iccProfile = profile
 }
 
 /**
  * 获取原始图片格式
- * @returns {string} 'jpeg' 或 'png'
+ * @returns {string|null} 见 detectImageFormat，未知时返回 null
  */
 function getOriginalImageFormat() {
     return originalImageFormat
 }
 
+/**
+ * 设置原始图片格式
+ * @param {string|null} format 图片格式，见 detectImageFormat
+ */
+function setOriginalImageFormat(format) {
+    originalImageFormat = format
+}
+
 /**
  * 获取原始EXIF数据
  * @returns {Object|null}
@@ -314,7 +1506,7 @@ function setOriginalExifData(data) {
 
 /**
  * 获取原始PNG元数据
- * @returns {Object|null}
+ * @returns {Array<Object>|null} 辅助块列表，见 extractPngMetadata
  */
 function getOriginalPngMetadata() {
     return originalPngMetadata
@@ -322,8 +1514,24 @@ function getOriginalPngMetadata() {
 
 /**
  * 设置原始PNG元数据
- * @param {Object} data PNG元数据
+ * @param {Array<Object>|null} data 辅助块列表
  */
 function setOriginalPngMetadata(data) {
     originalPngMetadata = data
 }
+
+/**
+ * 获取原始 XMP 数据
+ * @returns {string|null}
+ */
+function getOriginalXmpData() {
+    return originalXmpData
+}
+
+/**
+ * 设置原始 XMP 数据
+ * @param {string|null} data XMP 文本
+ */
+function setOriginalXmpData(data) {
+    originalXmpData = data
+}
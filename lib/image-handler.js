@@ -2,6 +2,9 @@
  * 图片加载和处理核心库
  */
 
+// 每次开始新操作或加载新图片时递增，用于丢弃已过期操作的结果
+let operationSerial = 0
+
 /**
  * 执行处理操作并显示处理状态
  * @param {HTMLImageElement} img 图片元素
@@ -27,12 +30,50 @@ function performImageOperation(img, imgContainer, handler, processingState, empt
  * @param {HTMLElement} imgContainer 图片容器
  */
 function showProcessing(processingState, img, emptyState, imgContainer) {
+    closeCompareView()
     if (img) img.style.display = "none"
     if (emptyState) emptyState.style.display = "none"
     if (processingState) processingState.style.display = "block"
+    detachSelectionOverlay()
+    updateProcessingProgress(null)
     imgContainer.classList.add("has-image")
 }
 
+/**
+ * 更新处理进度文字
+ * @param {number|null} progress 0-1 之间的完成比例，为 null 时只显示“正在处理图片”
+ */
+function updateProcessingProgress(progress) {
+    const processingState = getElement('processing-state')
+    const text = processingState && processingState.querySelector('.processing-text')
+    if (!text) return
+    text.textContent = progress == null ? '正在处理图片' : `正在处理图片 ${Math.floor(progress * 100)}%`
+}
+
+/**
+ * 终止正在进行的操作，其结果将被丢弃
+ */
+function abortPendingOperation() {
+    operationSerial++
+    cancelScrambleJob()
+    closeCropOverlay()
+}
+
+/**
+ * 用户取消处理：终止任务并恢复显示当前图片
+ */
+function cancelImageOperation() {
+    abortPendingOperation()
+    hideProcessing(getElement('processing-state'))
+    const img = getElement('display-img')
+    if (img && img.src) {
+        img.style.display = "block"
+        refreshSelectionOverlay()
+    } else {
+        showElement('empty-state')
+    }
+}
+
 /**
  * 隐藏处理状态
  * @param {HTMLElement} processingState 处理状态元素
@@ -51,18 +92,128 @@ function getAutoAction() {
 
 /**
  * 获取当前选中的显示模式
- * @returns {string} 'direct' | 'scratch' | 'scratch-transparent'
+ * @returns {string} 'direct' | 'scratch' | 'scratch-transparent' | 'compare'
  */
 function getDisplayMode() {
     return getRadioValue('display-mode') || 'direct'
 }
 
+/**
+ * 获取解混淆时的区域选择方式
+ * @returns {string} 'auto' 自动定位 | 'full' 整张图片 | 'manual' 手动框选
+ */
+function getCropMode() {
+    const select = getElement('crop-mode')
+    return select && select.value ? select.value : 'auto'
+}
+
+/**
+ * 获取元数据隐私策略
+ * @returns {string} 'keep' 保留全部 | 'camera' 仅保留相机信息 | 'location' 去除位置信息 | 'none' 去除全部
+ */
+function getMetadataPolicy() {
+    const select = getElement('metadata-policy')
+    return select && METADATA_POLICIES.includes(select.value) ? select.value : 'location'
+}
+
+/**
+ * 获取混淆范围
+ * @returns {string} 'full' 整张图片 | 'selection' 仅选区
+ */
+function getScrambleScope() {
+    const select = getElement('scramble-scope')
+    return select && select.value ? select.value : 'full'
+}
+
+/**
+ * 获取仅混淆选区时的区域列表
+ * @returns {Array<Object>|null} 混淆整张图片时返回 null
+ */
+function getScopeRegions() {
+    if (getScrambleScope() !== 'selection') return null
+    const regions = getSelectionRegions()
+    if (regions.length === 0) throw new Error('请先在图片上框选或涂抹需要混淆的区域')
+    return regions
+}
+
+/**
+ * 获取用户填写的原始尺寸（图片被平台缩放前的尺寸）
+ * @returns {{width: number, height: number}|null} 未填写完整时返回 null
+ */
+function getOriginalSizeInput() {
+    const widthInput = getElement('original-width')
+    const heightInput = getElement('original-height')
+    const width = widthInput ? parseInt(widthInput.value, 10) : 0
+    const height = heightInput ? parseInt(heightInput.value, 10) : 0
+    return width > 0 && height > 0 ? { width, height } : null
+}
+
+/**
+ * 清空填写的原始尺寸及尝试结果，原始尺寸只对当前图片有效
+ */
+function resetOriginalSizeInput() {
+    const widthInput = getElement('original-width')
+    const heightInput = getElement('original-height')
+    if (widthInput) widthInput.value = ''
+    if (heightInput) heightInput.value = ''
+    setText('size-hint', '')
+}
+
+/**
+ * 获取用户输入的密钥
+ * @returns {string} 未输入时返回空字符串
+ */
+function getPassphrase() {
+    const input = getElement('passphrase')
+    return input ? input.value : ''
+}
+
+/**
+ * 获取当前选择的混淆算法及其参数
+ * @returns {Object} {algorithm: 算法 ID, blockSize, tileTransform, diffusion}
+ */
+function getScrambleOptions() {
+    const algorithmSelect = getElement('scramble-algorithm')
+    const blockSizeSelect = getElement('block-size')
+    const tileTransform = getElement('tile-transform')
+    const diffusion = getElement('colour-diffusion')
+    return {
+        algorithm: algorithmSelect && algorithmSelect.value ? algorithmSelect.value : 'hilbert',
+        blockSize: blockSizeSelect ? parseInt(blockSizeSelect.value, 10) : 16,
+        tileTransform: tileTransform ? tileTransform.checked : false,
+        diffusion: diffusion ? diffusion.checked : false
+    }
+}
+
+/**
+ * 处理加密/解密失败：隐藏处理状态并恢复显示当前图片
+ * 取消引起的错误已由取消方处理界面，这里直接忽略
+ * @param {Error} error 错误对象
+ * @param {HTMLImageElement} img 图片元素
+ * @param {HTMLElement} imgContainer 图片容器
+ */
+function handleOperationError(error, img, imgContainer) {
+    if (isCancelError(error)) {
+        console.log('处理已取消')
+        return
+    }
+    console.error('图片处理出错:', error)
+    hideProcessing(getElement('processing-state'))
+    if (img && img.src) {
+        img.style.display = "block"
+        imgContainer.classList.add('has-image')
+        refreshSelectionOverlay()
+    }
+    alert('处理图片时出错: ' + error.message)
+}
+
 /**
  * 重建图片容器的DOM - 通过重用元素优化
  * @param {HTMLElement} imgContainer 图片容器
  * @returns {Object} 返回重建后的元素对象 {img, emptyState, processingState}
  */
 function rebuildImageDOM(imgContainer) {
+    closeCompareView()
     let img = getElement("display-img")
     let emptyState = getElement("empty-state")
     let processingState = getElement("processing-state")
@@ -90,7 +241,8 @@ function rebuildImageDOM(imgContainer) {
         processingState = createElement("div", {
             id: "processing-state",
             className: "processing-state",
-            text: "正在处理图片"
+            html: `<span class="processing-text">正在处理图片</span>
+            <button type="button" class="processing-cancel">取消</button>`
         })
         imgContainer.appendChild(processingState)
         DOM_CACHE.set("processing-state", processingState)
@@ -118,8 +270,21 @@ function rebuildImageDOM(imgContainer) {
  * @returns {Promise<void>}
  */
 async function setSrc(src, imgContainer, img, emptyState, processingState, skipAuto = false, preserveExif = true, sourceBlob = null) {
+    // 加载新图片时终止尚未完成的处理
+    if (!skipAuto) abortPendingOperation()
+
     // 重置元数据
     resetMetadata()
+
+    // 载入新图片时清空上一张图片的原始尺寸
+    if (!skipAuto) {
+        resetOriginalSizeInput()
+        clearSelection()
+        showVerifyResult(null)
+        resetMetadataEditor()
+        setSourceImage(sourceBlob)
+        resetHistory(sourceBlob)
+    }
     
     // 先检查并重建DOM（如果需要）
     if (!document.getElementById('display-img')) {
@@ -144,6 +309,30 @@ async function setSrc(src, imgContainer, img, emptyState, processingState, skipA
 
     console.log('setSrc 被调用:', {src: src.substring(0, 50), skipAuto, preserveExif, hasBlob: !!sourceBlob})
 
+    // 识别图片格式并读取混淆签名，导出和解密时据此选择格式和算法
+    await setAnimationSource(sourceBlob)
+    if (sourceBlob) {
+        // 用完整文件识别：WebP 的 ICCP 等块可能很大，VP8L 块不一定在文件开头
+        setOriginalImageFormat(detectImageFormat(new Uint8Array(await sourceBlob.arrayBuffer())))
+        const signatureText = await readScrambleSignature(sourceBlob)
+        setScrambleSignature(signatureText ? parseScrambleSignature(signatureText) : null)
+        // ICC 配置描述当前图片的像素，每次载入（包括处理结果）都重新读取
+        setIccProfile(await extractIccProfile(sourceBlob))
+
+        // 浏览器绘制时不会按 EXIF 方向旋转的，改为显示并处理像素已转正的图片
+        try {
+            const upright = await createUprightImage(sourceBlob)
+            if (upright) {
+                if (src.startsWith('blob:')) URL.revokeObjectURL(src)
+                src = URL.createObjectURL(upright)
+                // 转正时像素已按 sRGB 绘制，不再适用原配置
+                setIccProfile(null)
+            }
+        } catch (err) {
+            console.warn('转正图片失败，按原始方向处理:', err)
+        }
+    }
+
     // 提取元数据（只在首次加载时）
     if (preserveExif && !skipAuto && sourceBlob) {
         console.log('开始提取元数据...')
@@ -160,8 +349,10 @@ async function setSrc(src, imgContainer, img, emptyState, processingState, skipA
                 src: img.src.substring(0, 50)
             })
             try {
-                // 提取 EXIF 数据
-                setOriginalExifData(await extractExifData(img))
+                // 从原文件提取 EXIF 数据（显示的图片可能是转正后的 PNG）
+                setOriginalExifData(await extractExifData(sourceBlob))
+                setOriginalXmpData(await extractXmpData(sourceBlob))
+                loadMetadataEditor()
 
                 // 立即清除 onload，防止后续重复触发
                 img.onload = null
@@ -251,6 +442,159 @@ async function setSrc(src, imgContainer, img, emptyState, processingState, skipA
     }
 }
 
+// 输出格式：MIME 类型、是否无损、是否支持透明通道
+const OUTPUT_FORMATS = {
+    png: { mime: 'image/png', lossless: true, alpha: true },
+    'webp-lossless': { mime: 'image/webp', lossless: true, alpha: true },
+    webp: { mime: 'image/webp', lossless: false, alpha: true },
+    jpeg: { mime: 'image/jpeg', lossless: false, alpha: false }
+}
+
+// 检查透明通道时每次读取的行数，避免大图一次性复制全部像素
+const ALPHA_SCAN_ROWS = 256
+
+/**
+ * 获取输出格式设置
+ * @returns {{format: string, quality: number}} format 为 'auto' 或 OUTPUT_FORMATS 中的格式，quality 为 0-1 之间的有损压缩质量
+ */
+function getOutputFormatSetting() {
+    const select = getElement('output-format')
+    const slider = getElement('output-quality')
+    return {
+        format: select && select.value ? select.value : 'auto',
+        quality: slider ? parseInt(slider.value, 10) / 100 : 0.95
+    }
+}
+
+/**
+ * 画布中是否有不透明度低于 255 的像素
+ * @param {HTMLCanvasElement} canvas 画布
+ * @returns {boolean}
+ */
+function canvasHasAlpha(canvas) {
+    const ctx = canvas.getContext('2d')
+    for (let y = 0; y < canvas.height; y += ALPHA_SCAN_ROWS) {
+        const rows = Math.min(ALPHA_SCAN_ROWS, canvas.height - y)
+        const data = ctx.getImageData(0, y, canvas.width, rows).data
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) return true
+        }
+    }
+    return false
+}
+
+/**
+ * 确定导出格式
+ * 自动模式下含透明通道或无损来源（PNG、GIF、BMP、无损 WebP）输出 PNG / 无损 WebP，有损来源保持原格式；
+ * 含透明通道时不输出 JPEG，颜色扩散只能用无损格式还原
+ * @param {HTMLCanvasElement} canvas 画布
+ * @param {Object|null} signature 混淆签名
+ * @returns {string} OUTPUT_FORMATS 中的格式
+ */
+function resolveOutputFormat(canvas, signature) {
+    let format = getOutputFormatSetting().format
+    if (format === 'auto') {
+        const source = getOriginalImageFormat()
+        format = source === 'jpeg' || source === 'webp' || source === 'webp-lossless' ? source : 'png'
+    }
+    if (!OUTPUT_FORMATS[format].alpha && canvasHasAlpha(canvas)) {
+        console.log('图片含透明通道，改为输出 PNG')
+        format = 'png'
+    }
+    if (signature && signature.df && !OUTPUT_FORMATS[format].lossless) format = 'png'
+    return format
+}
+
+/**
+ * 将画布编码为图片
+ * @param {HTMLCanvasElement} canvas 画布
+ * @param {string} mime MIME 类型
+ * @param {number} quality 有损压缩质量，无损 WebP 传 1
+ * @returns {Promise<Blob>} 浏览器不支持该格式时为 PNG
+ */
+function canvasToBlob(canvas, mime, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('图片编码失败')), mime, quality)
+    })
+}
+
+/**
+ * 按输出格式设置导出画布，并写入元数据和混淆签名
+ * @param {HTMLCanvasElement} canvas 画布
+ * @param {Object|null} signature 混淆签名，为 null 时不写入
+ * @returns {Promise<Blob>}
+ */
+async function exportCanvas(canvas, signature = null) {
+    const format = resolveOutputFormat(canvas, signature)
+    // 浏览器（Chromium）在质量为 1 时输出无损 WebP
+    const quality = OUTPUT_FORMATS[format].lossless ? 1 : getOutputFormatSetting().quality
+    let blob = await canvasToBlob(canvas, OUTPUT_FORMATS[format].mime, quality)
+    if (blob.type !== OUTPUT_FORMATS[format].mime) {
+        console.warn(`浏览器不支持输出 ${format}，已改为 ${blob.type}`)
+    } else if (format === 'webp-lossless' &&
+        detectImageFormat(new Uint8Array(await blob.arrayBuffer())) !== 'webp-lossless') {
+        // 其他浏览器在质量为 1 时仍可能有损编码，混淆结果和颜色扩散都无法逐像素还原
+        console.warn('浏览器不支持无损编码 WebP，已改为 image/png')
+        blob = await canvasToBlob(canvas, OUTPUT_FORMATS.png.mime, 1)
+    }
+    // 写入元数据面板中编辑后、按隐私设置过滤的元数据；混淆结果不带缩略图，以免泄露原图
+    // ICC 配置描述像素的色彩空间，不受隐私设置影响
+    if (blob.type === 'image/jpeg') {
+        blob = await injectExifToJpeg(blob, getOutputExifData(), !signature)
+        blob = await injectXmpToJpeg(blob, getOutputXmpData(!signature))
+        blob = await injectIccProfile(blob, getIccProfile())
+    } else if (blob.type === 'image/png') {
+        blob = await injectPngMetadata(blob, await addIccPngChunk(getOutputPngMetadata(!signature), getIccProfile()))
+    } else if (blob.type === 'image/webp') {
+        blob = await injectWebpMetadata(blob, getOutputExifData(), getOutputXmpData(!signature), !signature)
+        blob = await injectIccProfile(blob, getIccProfile())
+    }
+
+    if (signature) {
+        blob = await writeScrambleSignature(blob, serializeScrambleSignature(signature))
+    }
+    return blob
+}
+
+/**
+ * 解码当前载入的动画
+ * @returns {Promise<Object|null>} 见 decodeAnimation，当前图片不是动画时返回 null
+ */
+async function loadSourceAnimation() {
+    const source = getAnimationSource()
+    return source ? decodeAnimation(source.blob) : null
+}
+
+/**
+ * 将处理后的帧编码为动画文件（格式跟随原动画，不受输出格式设置影响）
+ * @param {Object} animation 解码得到的原动画
+ * @param {Array<{imgdata: ImageData, delay: number}>} frames 处理后的帧序列
+ * @param {Object|null} signature 混淆签名，为 null 时不写入
+ * @returns {Promise<Blob>}
+ */
+async function exportAnimation(animation, frames, signature = null) {
+    let blob = await encodeAnimation(animation, frames)
+    if (signature) {
+        blob = await writeScrambleSignature(blob, serializeScrambleSignature(signature))
+    }
+    return blob
+}
+
+/**
+ * 将超大图片的处理结果编码为 PNG（画布无法容纳，不受输出格式设置影响）
+ * @param {ImageData} imgdata 处理后的像素
+ * @param {Object|null} signature 混淆签名，为 null 时不写入
+ * @returns {Promise<Blob>}
+ */
+async function exportLargeImage(imgdata, signature = null) {
+    const chunks = [...(await addIccPngChunk(getOutputPngMetadata(!signature), getIccProfile()) || [])]
+    if (signature) {
+        const chunk = await encodePngText(SCRAMBLE_SIGNATURE_KEYWORD, serializeScrambleSignature(signature), false)
+        chunks.push({ ...chunk, afterImage: false })
+    }
+    return encodePngTiled(imgdata, chunks)
+}
+
 /**
  * 加密图片并显示结果
  * @param {HTMLImageElement} img 图片元素
@@ -260,32 +604,172 @@ async function setSrc(src, imgContainer, img, emptyState, processingState, skipA
  * @returns {Promise<void>}
  */
 async function encryptAndDisplay(img, imgContainer, skipAuto = true, preserveExif = false) {
-    const canvas = await encryptImage(img)
-
-    // 根据原始格式输出
-    if (getOriginalImageFormat() === 'png') {
-        // 输出 PNG 并注入元数据
-        canvas.toBlob(async (blob) => {
-            // 注入 PNG 元数据
-            const blobWithMetadata = await injectPngMetadata(blob, getOriginalPngMetadata())
-            const elements = rebuildImageDOM(imgContainer)
-            setSrc(URL.createObjectURL(blobWithMetadata), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false)
-        }, 'image/png')
+    const serial = ++operationSerial
+    let blob
+    try {
+        const options = { ...getScrambleOptions(), key: getPassphrase(), regions: getScopeRegions() }
+        const animation = await loadSourceAnimation()
+        if (animation) {
+            // 动画逐帧混淆，校验信息取第一帧
+            const frames = await scrambleAnimationFrames(animation, { ...options, onProgress: updateProcessingProgress }, false)
+            const signature = await createScrambleSignature(options, animation.width, animation.height, animation.frames[0].imgdata)
+            blob = await exportAnimation(animation, frames, signature)
+        } else if (isLargeImage(img.naturalWidth, img.naturalHeight)) {
+            if (!confirmLargeImage(img.naturalWidth, img.naturalHeight, img.naturalWidth, img.naturalHeight)) {
+                cancelImageOperation()
+                return
+            }
+            // 签名的校验信息要在像素转移给 Worker 之前计算
+            const { image, colorSpace } = await loadPixelSource(img)
+            const source = await readImageDataTiled(image, null, colorSpace)
+            const signature = await createScrambleSignature(options, source.width, source.height, source)
+            const imgdata = await encryptLargeImage(image, { ...options, onProgress: updateProcessingProgress }, source)
+            blob = await exportLargeImage(imgdata, signature)
+        } else {
+            const { image, colorSpace } = await loadPixelSource(img)
+            const canvas = await encryptImage(image, { ...options, colorSpace, onProgress: updateProcessingProgress })
+            // 记录原图的校验信息，解混淆后据此判断结果是否完好
+            const signature = await createScrambleSignature(options, canvas.width, canvas.height, readImageData(image, null, colorSpace).imgdata)
+            blob = await exportCanvas(canvas, signature)
+        }
+    } catch (error) {
+        if (serial === operationSerial) handleOperationError(error, img, imgContainer)
+        return
+    }
+    // 处理期间已取消或加载了新图片
+    if (serial !== operationSerial) return
+    showVerifyResult(null)
+    const before = getSavableImage()
+    setProcessedImage(blob, 'enc')
+    pushHistory(blob, 'enc')
+
+    if (getDisplayMode() === 'compare') {
+        showCompareResult(before, blob, imgContainer)
+        return
+    }
+    // 传入输出文件，以便紧接着解密时能读到签名
+    const elements = rebuildImageDOM(imgContainer)
+    setSrc(URL.createObjectURL(blob), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false, blob)
+}
+
+/**
+ * 确定截图中需要解混淆的区域
+ * 带签名且尺寸与签名一致的图片就是完整的混淆图，无需裁剪；
+ * 否则自动定位混淆区域，手动模式下再以定位结果为初始选框让用户调整
+ * @param {HTMLImageElement} img 图片元素
+ * @param {HTMLElement} imgContainer 图片容器
+ * @param {Object|null} signature 混淆签名
+ * @returns {Promise<Object|null>} 裁剪区域 {x, y, width, height}，为 null 时使用整张图片
+ */
+async function resolveDecryptCrop(img, imgContainer, signature) {
+    const mode = getCropMode()
+    if (mode === 'full') return null
+    if (signature && signature.w === img.naturalWidth && signature.h === img.naturalHeight) return null
+
+    const detected = detectScrambledRegion(readImageData(img).imgdata)
+    console.log('自动定位混淆区域:', detected)
+    if (mode !== 'manual') return detected
+
+    // 框选时需要显示图片，确认后再恢复处理状态
+    const processingState = getElement('processing-state')
+    hideProcessing(processingState)
+    img.style.display = "block"
+    const rect = await openCropOverlay(img, imgContainer, detected)
+    if (!rect) throw createCancelError()
+    showProcessing(processingState, img, getElement('empty-state'), imgContainer)
+    // 选中整张图片时不裁剪
+    return rect.width === img.naturalWidth && rect.height === img.naturalHeight ? null : rect
+}
+
+/**
+ * 确定解密参数：带签名时按签名，否则使用当前设置、选区及填写的原始尺寸
+ * @param {Object|null} signature 混淆签名
+ * @param {number} width 待解混淆区域的宽度
+ * @param {number} height 待解混淆区域的高度
+ * @returns {Promise<Object>} 解密选项，见 decryptImage
+ */
+async function resolveDecryptOptions(signature, width, height) {
+    if (signature) return resolveSignatureOptions(signature, getPassphrase(), width, height)
+
+    const options = { ...getScrambleOptions(), key: getPassphrase(), regions: getScopeRegions() }
+    const originalSize = getOriginalSizeInput()
+    if (originalSize) {
+        options.originalWidth = originalSize.width
+        options.originalHeight = originalSize.height
+    }
+    return options
+}
+
+/**
+ * 以对比视图显示处理结果
+ * 结果图片仍作为 display-img 载入（隐藏），后续混淆、解混淆照常以它为输入
+ * @param {Blob|null} beforeBlob 处理前的图片，为 null 时直接显示结果
+ * @param {Blob} blob 处理后的图片
+ * @param {HTMLElement} imgContainer 图片容器
+ * @returns {Promise<void>}
+ */
+async function showCompareResult(beforeBlob, blob, imgContainer) {
+    const elements = rebuildImageDOM(imgContainer)
+    await setSrc(URL.createObjectURL(blob), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false, blob)
+    if (beforeBlob) openCompareView(beforeBlob, blob, imgContainer)
+}
+
+/**
+ * 按显示模式显示解密结果
+ * @param {Blob} blob 解密后的图片
+ * @param {HTMLElement} imgContainer 图片容器
+ */
+function showDecryptResult(blob, imgContainer) {
+    const displayMode = getDisplayMode()
+    const before = getSavableImage()
+    setProcessedImage(blob, 'dec')
+    pushHistory(blob, 'dec')
+
+    // 获取处理状态元素用于隐藏
+    const processingState = document.getElementById("processing-state")
+
+    // 根据显示模式选择显示方式
+    if (displayMode === 'scratch') {
+        createScratchEffect(blob, imgContainer)
+    } else if (displayMode === 'scratch-transparent') {
+        createTransparentScratchEffect(blob, imgContainer)
+    } else if (displayMode === 'compare') {
+        showCompareResult(before, blob, imgContainer)
     } else {
-        // 输出 JPEG 并注入 EXIF
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.95)
-        const dataUrlWithExif = injectExifToDataUrl(dataUrl, getOriginalExifData())
-        fetch(dataUrlWithExif)
-            .then(res => res.blob())
-            .then(blob => {
-                const elements = rebuildImageDOM(imgContainer)
-                setSrc(URL.createObjectURL(blob), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false)
-            })
+        const elements = rebuildImageDOM(imgContainer)
+        setSrc(URL.createObjectURL(blob), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false, blob)
+    }
+    hideProcessing(processingState)
+}
+
+/**
+ * 显示解混淆结果与原图校验信息的比对结果
+ * @param {Object|null} verification verifyPixelChecksum 的结果，为 null 时隐藏
+ */
+function showVerifyResult(verification) {
+    const badge = getElement('verify-status')
+    if (!badge) return
+    if (!verification) {
+        hideElement(badge)
+        return
+    }
+
+    const psnr = Number.isFinite(verification.psnr) ? verification.psnr.toFixed(1) : '∞'
+    const labels = {
+        exact: '✅ 校验通过：与原图逐像素一致',
+        close: `🟡 肉眼无差别（PSNR ${psnr} dB）：图片经过压缩或缩放，与原图略有差异`,
+        mismatch: '❌ 校验失败：与原图不一致，请检查密钥、算法或图片是否被裁剪'
     }
+    badge.className = `verify-status ${verification.status}`
+    setText(badge, labels[verification.status])
+    showElement(badge)
 }
 
 /**
  * 解密图片并显示结果
+ * 图片带有混淆签名时按签名选择算法，否则使用当前设置
+ * 截图中只有一部分是混淆图片时，先定位（或由用户框选）混淆区域再解混淆；
+ * 动画逐帧解混淆，超大图片分块读取，两者都不做裁剪
  * @param {HTMLImageElement} img 图片元素
  * @param {HTMLElement} imgContainer 图片容器
  * @param {boolean} skipAuto 是否跳过自动处理
@@ -293,47 +777,103 @@ async function encryptAndDisplay(img, imgContainer, skipAuto = true, preserveExi
  * @returns {Promise<void>}
  */
 async function decryptAndDisplay(img, imgContainer, skipAuto = true, preserveExif = false) {
-    const canvas = await decryptImage(img)
-    const displayMode = getDisplayMode()
+    const serial = ++operationSerial
+    let blob
+    let verification
+    try {
+        const signature = getScrambleSignature()
+        const animation = await loadSourceAnimation()
+        const large = !animation && isLargeImage(img.naturalWidth, img.naturalHeight)
+        // 按选区解混淆时选区就是混淆区域，不再裁剪
+        const crop = animation || large || (!signature && getScrambleScope() === 'selection')
+            ? null
+            : await resolveDecryptCrop(img, imgContainer, signature)
+        const width = crop ? crop.width : img.width
+        const height = crop ? crop.height : img.height
+        const options = await resolveDecryptOptions(signature, width, height)
+        // 还原为原始尺寸后也可能超出画布限制
+        const outputWidth = options.originalWidth || width
+        const outputHeight = options.originalHeight || height
+        if (animation) {
+            const frames = await scrambleAnimationFrames(animation, { ...options, onProgress: updateProcessingProgress }, true)
+            verification = signature ? await verifyPixelChecksum(frames[0].imgdata, signature, getPassphrase()) : null
+            blob = await exportAnimation(animation, frames)
+        } else if (large || isLargeImage(outputWidth, outputHeight)) {
+            if (!confirmLargeImage(width, height, outputWidth, outputHeight)) {
+                cancelImageOperation()
+                return
+            }
+            const { image, colorSpace } = await loadPixelSource(img)
+            const imgdata = await decryptLargeImage(image, { ...options, crop, colorSpace, onProgress: updateProcessingProgress })
+            verification = signature ? await verifyPixelChecksum(imgdata, signature, getPassphrase()) : null
+            blob = await exportLargeImage(imgdata)
+        } else {
+            const { image, colorSpace } = await loadPixelSource(img)
+            const canvas = await decryptImage(image, { ...options, crop, colorSpace, onProgress: updateProcessingProgress })
+            verification = signature
+                ? await verifyPixelChecksum(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height), signature, getPassphrase())
+                : null
+            blob = await exportCanvas(canvas)
+        }
+    } catch (error) {
+        if (serial === operationSerial) handleOperationError(error, img, imgContainer)
+        return
+    }
+    // 处理期间已取消或加载了新图片
+    if (serial !== operationSerial) return
+    showDecryptResult(blob, imgContainer)
+    showVerifyResult(verification)
+}
 
-    // 获取处理状态元素用于隐藏
-    const processingState = document.getElementById("processing-state")
+/**
+ * 为缩放过的混淆图片尝试常见的原始尺寸，填入得分最高的尺寸并用它解混淆
+ * 带签名的图片已记录原始尺寸，直接解混淆
+ * @param {HTMLImageElement} img 图片元素
+ * @param {HTMLElement} imgContainer 图片容器
+ * @returns {Promise<void>}
+ */
+async function searchSizeAndDisplay(img, imgContainer) {
+    const signature = getScrambleSignature()
+    if (signature) {
+        decryptAndDisplay(img, imgContainer)
+        return
+    }
 
-    // 根据原始格式输出
-    if (getOriginalImageFormat() === 'png') {
-        // 输出 PNG 并注入元数据
-        canvas.toBlob(async (blob) => {
-            // 注入 PNG 元数据
-            const blobWithMetadata = await injectPngMetadata(blob, getOriginalPngMetadata())
-
-            // 根据显示模式选择显示方式
-            if (displayMode === 'scratch') {
-                createScratchEffect(blobWithMetadata, imgContainer)
-            } else if (displayMode === 'scratch-transparent') {
-                createTransparentScratchEffect(blobWithMetadata, imgContainer)
-            } else {
-                const elements = rebuildImageDOM(imgContainer)
-                setSrc(URL.createObjectURL(blobWithMetadata), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false)
-            }
-            hideProcessing(processingState)
-        }, 'image/png')
-    } else {
-        // 输出 JPEG 并注入 EXIF
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.95)
-        const dataUrlWithExif = injectExifToDataUrl(dataUrl, getOriginalExifData())
-        fetch(dataUrlWithExif)
-            .then(res => res.blob())
-            .then(blob => {
-                // 根据显示模式选择显示方式
-                if (displayMode === 'scratch') {
-                    createScratchEffect(blob, imgContainer)
-                } else if (displayMode === 'scratch-transparent') {
-                    createTransparentScratchEffect(blob, imgContainer)
-                } else {
-                    const elements = rebuildImageDOM(imgContainer)
-                    setSrc(URL.createObjectURL(blob), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false)
-                }
-                hideProcessing(processingState)
-            })
+    const serial = ++operationSerial
+    let blob
+    try {
+        // 动画按当前显示的画面打分，之后逐帧解混淆
+        const animation = await loadSourceAnimation()
+        const crop = animation ? null : await resolveDecryptCrop(img, imgContainer, null)
+        const { image, colorSpace } = await loadPixelSource(img)
+        const options = { ...getScrambleOptions(), key: getPassphrase(), crop, colorSpace }
+        const results = await findOriginalSize(image, { ...options, onProgress: updateProcessingProgress })
+        if (serial !== operationSerial) return
+        if (results.length === 0) throw new Error('当前算法无法按任何常见尺寸还原该图片')
+
+        const best = results[0]
+        getElement('original-width').value = best.width
+        getElement('original-height').value = best.height
+        const others = results.slice(1, 4).map(r => `${r.width}×${r.height}（${r.score.toFixed(2)}）`).join('、')
+        setText('size-hint', `最可能的原始尺寸：${best.width}×${best.height}（相关性 ${best.score.toFixed(2)}）` +
+            (others ? `，其次 ${others}` : ''))
+
+        updateProcessingProgress(null)
+        const decryptOptions = {
+            ...options,
+            originalWidth: best.width,
+            originalHeight: best.height,
+            onProgress: updateProcessingProgress
+        }
+        blob = animation
+            ? await exportAnimation(animation, await scrambleAnimationFrames(animation, decryptOptions, true))
+            : await exportCanvas(await decryptImage(image, decryptOptions))
+    } catch (error) {
+        if (serial === operationSerial) handleOperationError(error, img, imgContainer)
+        return
     }
+    // 处理期间已取消或加载了新图片
+    if (serial !== operationSerial) return
+    showDecryptResult(blob, imgContainer)
+    showVerifyResult(null)
 }
@@ -0,0 +1,108 @@
+/**
+ * 图片历史记录库
+ * 在内存中保存本次会话载入的原图及每一步处理结果，支持撤销、重做和还原到原图
+ */
+
+// 最多保留的历史记录条数（含原图），超出时丢弃最早的处理结果，原图始终保留
+const HISTORY_MAX_ENTRIES = 20
+
+// 历史记录：entries[0] 为载入的原图，index 为当前显示的记录
+const imageHistory = {
+    entries: [],
+    index: -1
+}
+
+/**
+ * 载入新图片时清空历史，以该图片作为原图
+ * @param {Blob|null} blob 原图文件
+ */
+function resetHistory(blob) {
+    imageHistory.entries = blob ? [{ blob, action: null }] : []
+    imageHistory.index = imageHistory.entries.length - 1
+    updateHistoryButtons()
+}
+
+/**
+ * 记录一步处理结果，丢弃当前位置之后可重做的记录
+ * @param {Blob} blob 处理后的图片文件
+ * @param {string} action 'enc' 混淆 | 'dec' 解混淆
+ */
+function pushHistory(blob, action) {
+    const entries = imageHistory.entries.slice(0, imageHistory.index + 1)
+    entries.push({ blob, action })
+    if (entries.length > HISTORY_MAX_ENTRIES) entries.splice(1, entries.length - HISTORY_MAX_ENTRIES)
+    imageHistory.entries = entries
+    imageHistory.index = entries.length - 1
+    updateHistoryButtons()
+}
+
+/**
+ * 是否可以撤销
+ * @returns {boolean}
+ */
+function canUndo() {
+    return imageHistory.index > 0
+}
+
+/**
+ * 是否可以重做
+ * @returns {boolean}
+ */
+function canRedo() {
+    return imageHistory.index < imageHistory.entries.length - 1
+}
+
+/**
+ * 更新撤销、重做、还原按钮的可用状态
+ */
+function updateHistoryButtons() {
+    const btnUndo = getElement('undo')
+    const btnRedo = getElement('redo')
+    const btnRestore = getElement('re')
+    if (btnUndo) btnUndo.disabled = !canUndo()
+    if (btnRedo) btnRedo.disabled = !canRedo()
+    if (btnRestore) btnRestore.disabled = imageHistory.entries.length === 0
+}
+
+/**
+ * 显示指定的历史记录
+ * 处理进行中时不切换，避免结果与历史位置错乱
+ * @param {number} index 记录位置
+ */
+function showHistoryEntry(index) {
+    const entry = imageHistory.entries[index]
+    if (!entry) return
+    const processingState = getElement('processing-state')
+    if (processingState && processingState.style.display === 'block') return
+
+    imageHistory.index = index
+    updateHistoryButtons()
+    setProcessedImage(entry.blob, entry.action)
+    // 从刮刮乐切换回普通显示
+    setScratchingStatus(false)
+
+    const imgContainer = getImageContainer()
+    const elements = rebuildImageDOM(imgContainer)
+    setSrc(URL.createObjectURL(entry.blob), imgContainer, elements.img, elements.emptyState, elements.processingState, true, false, entry.blob)
+}
+
+/**
+ * 撤销一步
+ */
+function undoHistory() {
+    if (canUndo()) showHistoryEntry(imageHistory.index - 1)
+}
+
+/**
+ * 重做一步
+ */
+function redoHistory() {
+    if (canRedo()) showHistoryEntry(imageHistory.index + 1)
+}
+
+/**
+ * 还原到载入的原图（之后仍可重做回到各步结果）
+ */
+function restoreOriginalImage() {
+    showHistoryEntry(0)
+}
@@ -0,0 +1,163 @@
+/**
+ * 图片方向处理库
+ * 统一由像素承载 EXIF 方向：浏览器绘制时不会自动按 Orientation 旋转的，载入时先把像素转正；
+ * 处理结果的像素都是正向的，输出时 Orientation 记为 1
+ */
+
+// 读取 EXIF 时最多读取的文件头长度（APP1 段不超过 64KB，前面可能还有 APP0 等段）
+const ORIENTATION_SCAN_BYTES = 256 * 1024
+
+// 浏览器是否会在 drawImage 时按 EXIF 方向旋转（检测一次后缓存）
+let orientationSupportPromise = null
+
+/**
+ * 从 JPEG 文件中读取 EXIF 方向（0th IFD 的 Orientation 标签）
+ * @param {Uint8Array} bytes 文件字节
+ * @returns {number} 1-8，没有 EXIF 或不是 JPEG 时返回 1
+ */
+function readExifOrientation(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return 1
+    try {
+        const tiff = findExifTiff(bytes)
+        if (!tiff) return 1
+        const exif = parseExif(tiff)
+        const entry = getExifEntry(exif, '0th', 0x0112)
+        const value = entry && entry.type === 3 ? decodeExifValue(entry, exif.littleEndian)[0] : 1
+        return value >= 1 && value <= 8 ? value : 1
+    } catch (err) {
+        console.warn('读取 EXIF 方向失败:', err)
+        return 1
+    }
+}
+
+/**
+ * 按 EXIF 方向把原始像素转正所需的画布尺寸和变换矩阵
+ * @param {number} orientation EXIF 方向 1-8
+ * @param {number} width 原始像素宽度
+ * @param {number} height 原始像素高度
+ * @returns {{width: number, height: number, matrix: Array<number>}} matrix 为 ctx.setTransform 的参数
+ */
+function getOrientationTransform(orientation, width, height) {
+    const transforms = {
+        1: [1, 0, 0, 1, 0, 0],
+        2: [-1, 0, 0, 1, width, 0],       // 水平翻转
+        3: [-1, 0, 0, -1, width, height], // 旋转 180°
+        4: [1, 0, 0, -1, 0, height],      // 垂直翻转
+        5: [0, 1, 1, 0, 0, 0],            // 沿主对角线翻转
+        6: [0, 1, -1, 0, height, 0],      // 顺时针旋转 90°
+        7: [0, -1, -1, 0, height, width], // 沿副对角线翻转
+        8: [0, -1, 1, 0, 0, width]        // 逆时针旋转 90°
+    }
+    const swap = orientation >= 5
+    return {
+        width: swap ? height : width,
+        height: swap ? width : height,
+        matrix: transforms[orientation] || transforms[1]
+    }
+}
+
+/**
+ * 生成只含 Orientation 标签的 EXIF（APP1）段
+ * @param {number} orientation EXIF 方向 1-8
+ * @returns {Uint8Array}
+ */
+function createOrientationSegment(orientation) {
+    return createExifSegment({
+        littleEndian: false,
+        ifds: { '0th': [{ tag: 0x0112, type: 3, count: 1, value: Uint8Array.of(0, orientation) }] },
+        thumbnail: null
+    })
+}
+
+/**
+ * 从 Blob 载入图片元素
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<HTMLImageElement>} 调用方负责释放 src 的对象 URL
+ */
+function loadImageFromBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const image = new Image()
+        image.onload = () => resolve(image)
+        image.onerror = () => {
+            URL.revokeObjectURL(image.src)
+            reject(new Error('图片加载失败'))
+        }
+        image.src = URL.createObjectURL(blob)
+    })
+}
+
+/**
+ * 检测浏览器在 drawImage 时是否按 EXIF 方向旋转
+ * 用左黑右白的 16×8 JPEG 加上 Orientation 6（顺时针 90°）测试：转正后为 8×16，下半部分是白色
+ * @returns {Promise<boolean>}
+ */
+function browserAppliesOrientation() {
+    if (orientationSupportPromise) return orientationSupportPromise
+
+    orientationSupportPromise = (async () => {
+        try {
+            const source = createElement('canvas')
+            source.width = 16
+            source.height = 8
+            const sourceCtx = source.getContext('2d')
+            sourceCtx.fillStyle = '#000'
+            sourceCtx.fillRect(0, 0, 8, 8)
+            sourceCtx.fillStyle = '#fff'
+            sourceCtx.fillRect(8, 0, 8, 8)
+            const jpeg = await new Promise(resolve => source.toBlob(resolve, 'image/jpeg', 1))
+            if (!jpeg) return true
+
+            const bytes = new Uint8Array(await jpeg.arrayBuffer())
+            const test = new Blob([bytes.subarray(0, 2), createOrientationSegment(6), bytes.subarray(2)], { type: 'image/jpeg' })
+            const image = await loadImageFromBlob(test)
+            const canvas = createElement('canvas')
+            canvas.width = 8
+            canvas.height = 16
+            const ctx = canvas.getContext('2d')
+            ctx.drawImage(image, 0, 0)
+            URL.revokeObjectURL(image.src)
+            const pixel = ctx.getImageData(4, 12, 1, 1).data
+            return pixel[3] > 0 && pixel[0] > 128
+        } catch (err) {
+            // 无法检测时按现代浏览器的行为处理
+            console.warn('检测 EXIF 方向支持失败:', err)
+            return true
+        }
+    })()
+    return orientationSupportPromise
+}
+
+/**
+ * 读取图片文件的 EXIF 方向
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<number>} 1-8
+ */
+async function readImageOrientation(blob) {
+    return readExifOrientation(new Uint8Array(await blob.slice(0, ORIENTATION_SCAN_BYTES).arrayBuffer()))
+}
+
+/**
+ * 为带 EXIF 方向的图片生成像素已转正的 PNG
+ * 浏览器绘制时已自动旋转、或图片本身就是正向时不需要转换
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<Blob|null>} 转正后的图片，不需要转换时返回 null
+ */
+async function createUprightImage(blob) {
+    const orientation = await readImageOrientation(blob)
+    if (orientation === 1 || await browserAppliesOrientation()) return null
+
+    const image = await loadImageFromBlob(blob)
+    const transform = getOrientationTransform(orientation, image.naturalWidth, image.naturalHeight)
+    const canvas = createElement('canvas')
+    canvas.width = transform.width
+    canvas.height = transform.height
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(...transform.matrix)
+    ctx.drawImage(image, 0, 0)
+    URL.revokeObjectURL(image.src)
+    console.log(`按 EXIF 方向 ${orientation} 转正图片`)
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(png => png ? resolve(png) : reject(new Error('图片编码失败')), 'image/png')
+    })
+}
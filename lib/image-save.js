@@ -0,0 +1,197 @@
+/**
+ * 图片保存库
+ * 记录当前显示（含刮刮乐中）的图片文件，按文件名模板保存，扩展名与实际输出格式一致，或复制到剪切板
+ */
+
+// 默认文件名模板
+const DEFAULT_FILENAME_TEMPLATE = '{name}_{action}_{date}'
+
+// MIME 类型 -> 扩展名
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp'
+}
+
+// 文件格式 -> MIME 类型，Blob 没有类型时按文件头识别
+const FORMAT_MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    'webp-lossless': 'image/webp',
+    gif: 'image/gif',
+    bmp: 'image/bmp'
+}
+
+// 当前可保存的图片：文件、处理方式（'enc' | 'dec' | null）及原图文件名（不含扩展名）
+const savableImage = {
+    blob: null,
+    action: null,
+    name: 'image'
+}
+
+/**
+ * 记录载入的原图，新图片的文件名作为之后保存时的基础名
+ * @param {Blob|null} blob 原图文件
+ */
+function setSourceImage(blob) {
+    savableImage.blob = blob
+    savableImage.action = null
+    savableImage.name = blob && blob.name ? blob.name.replace(/\.[^.]*$/, '') || 'image' : 'image'
+}
+
+/**
+ * 记录处理结果
+ * @param {Blob} blob 处理后的图片文件
+ * @param {string} action 'enc' 混淆 | 'dec' 解混淆
+ */
+function setProcessedImage(blob, action) {
+    savableImage.blob = blob
+    savableImage.action = action
+}
+
+/**
+ * 获取当前可保存的图片
+ * @returns {Blob|null}
+ */
+function getSavableImage() {
+    return savableImage.blob
+}
+
+/**
+ * 获取文件名模板
+ * @returns {string}
+ */
+function getFilenameTemplate() {
+    const input = getElement('filename-template')
+    return input && input.value.trim() ? input.value.trim() : DEFAULT_FILENAME_TEMPLATE
+}
+
+/**
+ * 确定图片文件的扩展名
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<string>}
+ */
+async function getImageExtension(blob) {
+    let mime = blob.type
+    if (!IMAGE_EXTENSIONS[mime]) {
+        const format = detectImageFormat(new Uint8Array(await blob.slice(0, 64).arrayBuffer()))
+        mime = FORMAT_MIME_TYPES[format]
+    }
+    return IMAGE_EXTENSIONS[mime] || 'png'
+}
+
+/**
+ * 按模板生成文件名
+ * 支持 {name} 原文件名、{action} enc / dec、{date} 年月日、{time} 时分秒；
+ * 为空的占位符两侧多余的分隔符会被去掉
+ * @param {string} template 文件名模板
+ * @param {string} extension 扩展名
+ * @param {Date} now 当前时间
+ * @returns {string}
+ */
+function formatFilename(template, extension, now = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0')
+    const values = {
+        name: savableImage.name,
+        action: savableImage.action || '',
+        date: `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`
+    }
+    const base = template
+        .replace(/\{(name|action|date|time)\}/g, (_, key) => values[key])
+        .replace(/[\\/:*?"<>|]/g, '_')
+        .replace(/([_\-. ])[_\-. ]+/g, '$1')
+        .replace(/^[_\-. ]+|[_\-. ]+$/g, '')
+    return `${base || 'image'}.${extension}`
+}
+
+/**
+ * 保存当前图片
+ * 支持文件系统访问 API 的浏览器弹出“另存为”对话框，其余浏览器直接下载
+ * @returns {Promise<void>}
+ */
+async function saveCurrentImage() {
+    const blob = getSavableImage()
+    if (!blob) {
+        alert('没有可保存的图片')
+        return
+    }
+
+    const extension = await getImageExtension(blob)
+    const filename = formatFilename(getFilenameTemplate(), extension)
+
+    if (typeof window.showSaveFilePicker === 'function') {
+        try {
+            const mime = blob.type || FORMAT_MIME_TYPES[extension === 'jpg' ? 'jpeg' : extension]
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: '图片', accept: { [mime]: [`.${extension}`] } }]
+            })
+            const writable = await handle.createWritable()
+            await writable.write(blob)
+            await writable.close()
+            return
+        } catch (err) {
+            // 用户关闭了对话框
+            if (err.name === 'AbortError') return
+            console.warn('另存为失败，改为直接下载:', err)
+        }
+    }
+
+    const url = URL.createObjectURL(blob)
+    const link = createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // 留出时间让浏览器开始下载
+    setTimeout(() => URL.revokeObjectURL(url), 10000)
+}
+
+/**
+ * 将图片转换为 PNG（剪切板只接受 PNG 图片）
+ * @param {Blob} blob 图片文件
+ * @returns {Promise<Blob>}
+ */
+async function convertToPng(blob) {
+    if (blob.type === 'image/png') return blob
+    const bitmap = await createImageBitmap(blob)
+    const canvas = createElement('canvas')
+    canvas.width = bitmap.width
+    canvas.height = bitmap.height
+    canvas.getContext('2d').drawImage(bitmap, 0, 0)
+    bitmap.close()
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(png => png ? resolve(png) : reject(new Error('图片编码失败')), 'image/png')
+    })
+}
+
+/**
+ * 将当前图片以 image/png 写入剪切板，便于直接粘贴到聊天软件
+ * 注意：浏览器写入剪切板时会丢弃 PNG 中的元数据，粘贴出去的图片不带混淆签名
+ * @returns {Promise<void>}
+ */
+async function copyCurrentImage() {
+    const blob = getSavableImage()
+    if (!blob) {
+        alert('没有可复制的图片')
+        return
+    }
+    if (!navigator.clipboard || typeof navigator.clipboard.write !== 'function' || typeof ClipboardItem === 'undefined') {
+        alert('当前浏览器不支持将图片写入剪切板，请点击 💾 保存 后发送文件，或在图片上右键选择“复制图片”')
+        return
+    }
+
+    try {
+        // 直接传入 Promise，Safari 要求在用户操作的同一调用栈中创建 ClipboardItem
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': convertToPng(blob) })])
+        console.log('图片已复制到剪切板')
+    } catch (err) {
+        console.error('写入剪切板失败:', err)
+        alert('无法写入剪切板，请确保已授予权限，或点击 💾 保存 后发送文件')
+    }
+}
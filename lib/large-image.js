@@ -0,0 +1,203 @@
+/**
+ * 超大图片处理库
+ * 超出浏览器画布限制（单边约 16k 像素或总面积约 268 MP）的图片无法用一整块画布读写，
+ * 改为分块绘制到小画布（支持时使用 OffscreenCanvas）拼出完整像素，置换在像素数组上完成，
+ * 结果直接分批压缩编码为 PNG，全程不创建整图大小的画布；
+ * 分块只绕过画布限制，整图的像素数组仍一次性放在内存中，由 Worker 一次处理完
+ */
+
+// 超过任一限制时使用分块处理（取各浏览器中较保守的画布限制）
+const LARGE_IMAGE_MAX_SIDE = 16384
+const LARGE_IMAGE_MAX_PIXELS = 64 * 1024 * 1024
+
+// 分块读取时每块的边长
+const LARGE_IMAGE_TILE_SIZE = 4096
+
+// 编码 PNG 时每批送入压缩流的字节数
+const LARGE_IMAGE_PNG_BATCH_BYTES = 16 * 1024 * 1024
+
+/**
+ * 是否需要分块处理
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {boolean}
+ */
+function isLargeImage(width, height) {
+    return width > LARGE_IMAGE_MAX_SIDE || height > LARGE_IMAGE_MAX_SIDE || width * height > LARGE_IMAGE_MAX_PIXELS
+}
+
+/**
+ * 估算分块处理的峰值内存（Worker 处理结束、编码 PNG 时）
+ * 输入每像素 8 字节：浏览器解码的原图和读出的像素（转移给 Worker，任务结束后才释放）；
+ * 输出每像素 16 字节：结果像素、Worker 缓存的曲线下标、压缩后的 PNG（混淆后的像素几乎无法压缩）及拼接文件时的副本
+ * @param {number} inputPixels 输入像素数
+ * @param {number} outputPixels 输出像素数
+ * @returns {number} 字节数
+ */
+function estimateLargeImageMemory(inputPixels, outputPixels) {
+    return inputPixels * 8 + outputPixels * 16
+}
+
+/**
+ * 格式化字节数
+ * @param {number} bytes 字节数
+ * @returns {string}
+ */
+function formatByteSize(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    return `${Math.ceil(bytes / 1024 ** 2)} MB`
+}
+
+/**
+ * 开始分块处理前显示预计内存占用，由用户确认是否继续
+ * @param {number} width 输入宽度
+ * @param {number} height 输入高度
+ * @param {number} outputWidth 输出宽度
+ * @param {number} outputHeight 输出高度
+ * @returns {boolean} 是否继续
+ */
+function confirmLargeImage(width, height, outputWidth, outputHeight) {
+    const megapixels = (outputWidth * outputHeight / 1e6).toFixed(0)
+    const estimate = estimateLargeImageMemory(width * height, outputWidth * outputHeight)
+    // navigator.deviceMemory 只有 Chromium 支持，且最大只报告 8
+    const deviceMemory = navigator.deviceMemory ? `，本机内存约 ${navigator.deviceMemory} GB 以上` : ''
+    return confirm(`图片尺寸为 ${outputWidth}×${outputHeight}（${megapixels} MP），超出浏览器画布限制，将分块处理并输出 PNG。\n\n` +
+        `预计需要约 ${formatByteSize(estimate)} 内存${deviceMemory}。内存不足时浏览器标签页可能崩溃，是否继续？`)
+}
+
+/**
+ * 创建分块用的画布，支持时使用 OffscreenCanvas
+ * @param {number} width 宽度
+ * @param {number} height 高度
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+function createTileCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+    const canvas = createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+/**
+ * 分块读取图片像素
+ * @param {HTMLImageElement} img 图片元素
+ * @param {Object|null} crop 读取区域 {x, y, width, height}，为 null 时读取整张图片
+ * @param {string} colorSpace 画布色彩空间，见 loadPixelSource
+ * @returns {Promise<ImageData>}
+ */
+async function readImageDataTiled(img, crop = null, colorSpace = 'srgb') {
+    const left = crop ? crop.x : 0
+    const top = crop ? crop.y : 0
+    const width = crop ? crop.width : img.naturalWidth
+    const height = crop ? crop.height : img.naturalHeight
+    const data = new Uint8ClampedArray(width * height * 4)
+
+    const tile = createTileCanvas(Math.min(LARGE_IMAGE_TILE_SIZE, width), Math.min(LARGE_IMAGE_TILE_SIZE, height))
+    const ctx = tile.getContext('2d', { willReadFrequently: true, colorSpace })
+    if (!ctx) throw new Error('无法获取 Canvas 上下文')
+    ctx.imageSmoothingEnabled = false
+
+    for (let ty = 0; ty < height; ty += LARGE_IMAGE_TILE_SIZE) {
+        const th = Math.min(LARGE_IMAGE_TILE_SIZE, height - ty)
+        for (let tx = 0; tx < width; tx += LARGE_IMAGE_TILE_SIZE) {
+            const tw = Math.min(LARGE_IMAGE_TILE_SIZE, width - tx)
+            ctx.clearRect(0, 0, tw, th)
+            ctx.drawImage(img, left + tx, top + ty, tw, th, 0, 0, tw, th)
+            const part = ctx.getImageData(0, 0, tw, th, { colorSpace }).data
+            for (let row = 0; row < th; row++) {
+                data.set(part.subarray(row * tw * 4, (row + 1) * tw * 4), ((ty + row) * width + tx) * 4)
+            }
+        }
+        // 每读完一行分块让出主线程，避免页面长时间无响应
+        await new Promise(resolve => setTimeout(resolve, 0))
+    }
+    return new ImageData(data, width, height)
+}
+
+/**
+ * 分块读取并混淆超大图片
+ * @param {HTMLImageElement} img 图片元素
+ * @param {Object} options 选项，见 encryptImage
+ * @param {ImageData} [source] 已读取的像素，省略时从图片读取（其缓冲区会被转移给 Worker）
+ * @returns {Promise<ImageData>}
+ */
+async function encryptLargeImage(img, options = {}, source = null) {
+    try {
+        return await runScrambleJob(source || await readImageDataTiled(img, null, options.colorSpace), options, false)
+    } catch (error) {
+        if (isCancelError(error)) throw error
+        console.error('加密超大图片失败:', error)
+        throw new Error('加密处理失败: ' + error.message)
+    }
+}
+
+/**
+ * 分块读取并解混淆超大图片（或还原后超出画布限制的图片）
+ * @param {HTMLImageElement} img 图片元素
+ * @param {Object} options 选项，见 decryptImage
+ * @returns {Promise<ImageData>}
+ */
+async function decryptLargeImage(img, options = {}) {
+    try {
+        return await runScrambleJob(await readImageDataTiled(img, options.crop || null, options.colorSpace), options, true)
+    } catch (error) {
+        if (isCancelError(error)) throw error
+        console.error('解密超大图片失败:', error)
+        throw new Error('解密处理失败: ' + error.message)
+    }
+}
+
+/**
+ * 将像素编码为 PNG（8 位 RGBA，Sub 过滤），分批送入浏览器的 zlib 压缩流
+ * @param {ImageData} imgdata 像素数据
+ * @param {Array<{type: string, data: Uint8Array, afterImage: boolean}>|null} chunks 写入的辅助块，见 extractPngMetadata
+ * @returns {Promise<Blob>}
+ */
+async function encodePngTiled(imgdata, chunks = null) {
+    if (typeof CompressionStream === 'undefined') throw new Error('当前浏览器不支持数据压缩，无法输出超大图片')
+    const { width, height, data } = imgdata
+    const u32 = (value) => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]
+
+    const parts = [PNG_SIGNATURE, createPngChunk('IHDR', Uint8Array.of(...u32(width), ...u32(height), 8, 6, 0, 0, 0))]
+    for (const chunk of chunks || []) {
+        if (!chunk.afterImage) parts.push(createPngChunk(chunk.type, chunk.data))
+    }
+
+    // 压缩输出与写入同时进行，每段输出写成一个 IDAT 块
+    const stream = new CompressionStream('deflate')
+    const writer = stream.writable.getWriter()
+    const collecting = (async () => {
+        const reader = stream.readable.getReader()
+        for (;;) {
+            const { done, value } = await reader.read()
+            if (done) break
+            parts.push(createPngChunk('IDAT', value))
+        }
+    })()
+
+    const rowLength = width * 4 + 1
+    const rowsPerBatch = Math.max(1, Math.floor(LARGE_IMAGE_PNG_BATCH_BYTES / rowLength))
+    for (let y = 0; y < height; y += rowsPerBatch) {
+        const rows = Math.min(rowsPerBatch, height - y)
+        const batch = new Uint8Array(rows * rowLength)
+        for (let r = 0; r < rows; r++) {
+            const row = data.subarray((y + r) * width * 4, (y + r + 1) * width * 4)
+            const out = r * rowLength
+            // Sub 过滤：每个字节减去左边像素的同一通道
+            batch[out] = 1
+            for (let i = 0; i < row.length; i++) {
+                batch[out + 1 + i] = i < 4 ? row[i] : row[i] - row[i - 4]
+            }
+        }
+        await writer.write(batch)
+    }
+    await writer.close()
+    await collecting
+
+    for (const chunk of chunks || []) {
+        if (chunk.afterImage) parts.push(createPngChunk(chunk.type, chunk.data))
+    }
+    parts.push(createPngChunk('IEND', new Uint8Array(0)))
+    return new Blob(parts, { type: 'image/png' })
+}
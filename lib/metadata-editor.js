@@ -0,0 +1,582 @@
+/**
+ * 元数据查看与编辑面板
+ * 列出当前图片的 EXIF 各 IFD 标签、PNG 文本块及其他辅助块和 XMP 数据包，可逐项修改或删除；
+ * 混淆、解混淆的输出写入这里编辑后的元数据（再按隐私设置过滤），载入新图片时重新读取
+ */
+
+// EXIF 各 IFD 在面板中的标题
+const EXIF_IFD_LABELS = {
+    '0th': 'EXIF · 图像',
+    Exif: 'EXIF · 拍摄参数',
+    GPS: 'EXIF · GPS 位置',
+    Interop: 'EXIF · 互操作',
+    '1st': 'EXIF · 缩略图'
+}
+
+// 常见 EXIF 标签的名称（1st IFD 使用 0th 的名称）
+const EXIF_TAG_NAMES = {
+    '0th': {
+        0x010E: 'ImageDescription', 0x010F: 'Make', 0x0110: 'Model', 0x0112: 'Orientation',
+        0x011A: 'XResolution', 0x011B: 'YResolution', 0x0128: 'ResolutionUnit', 0x0131: 'Software',
+        0x0132: 'DateTime', 0x013B: 'Artist', 0x013E: 'WhitePoint', 0x013F: 'PrimaryChromaticities',
+        0x0211: 'YCbCrCoefficients', 0x0213: 'YCbCrPositioning', 0x0214: 'ReferenceBlackWhite',
+        0x8298: 'Copyright', 0x9C9B: 'XPTitle', 0x9C9C: 'XPComment', 0x9C9D: 'XPAuthor',
+        0x9C9E: 'XPKeywords', 0x9C9F: 'XPSubject', 0xC4A5: 'PrintImageMatching'
+    },
+    Exif: {
+        0x829A: 'ExposureTime', 0x829D: 'FNumber', 0x8822: 'ExposureProgram', 0x8827: 'ISOSpeedRatings',
+        0x8830: 'SensitivityType', 0x9000: 'ExifVersion', 0x9003: 'DateTimeOriginal', 0x9004: 'DateTimeDigitized',
+        0x9010: 'OffsetTime', 0x9011: 'OffsetTimeOriginal', 0x9012: 'OffsetTimeDigitized',
+        0x9101: 'ComponentsConfiguration', 0x9102: 'CompressedBitsPerPixel', 0x9201: 'ShutterSpeedValue',
+        0x9202: 'ApertureValue', 0x9203: 'BrightnessValue', 0x9204: 'ExposureBiasValue', 0x9205: 'MaxApertureValue',
+        0x9206: 'SubjectDistance', 0x9207: 'MeteringMode', 0x9208: 'LightSource', 0x9209: 'Flash',
+        0x920A: 'FocalLength', 0x9214: 'SubjectArea', 0x927C: 'MakerNote', 0x9286: 'UserComment',
+        0x9290: 'SubSecTime', 0x9291: 'SubSecTimeOriginal', 0x9292: 'SubSecTimeDigitized',
+        0xA000: 'FlashpixVersion', 0xA001: 'ColorSpace', 0xA002: 'PixelXDimension', 0xA003: 'PixelYDimension',
+        0xA20E: 'FocalPlaneXResolution', 0xA20F: 'FocalPlaneYResolution', 0xA210: 'FocalPlaneResolutionUnit',
+        0xA217: 'SensingMethod', 0xA300: 'FileSource', 0xA301: 'SceneType', 0xA401: 'CustomRendered',
+        0xA402: 'ExposureMode', 0xA403: 'WhiteBalance', 0xA404: 'DigitalZoomRatio', 0xA405: 'FocalLengthIn35mmFilm',
+        0xA406: 'SceneCaptureType', 0xA407: 'GainControl', 0xA408: 'Contrast', 0xA409: 'Saturation',
+        0xA40A: 'Sharpness', 0xA40C: 'SubjectDistanceRange', 0xA420: 'ImageUniqueID', 0xA430: 'CameraOwnerName',
+        0xA431: 'BodySerialNumber', 0xA432: 'LensSpecification', 0xA433: 'LensMake', 0xA434: 'LensModel',
+        0xA435: 'LensSerialNumber'
+    },
+    GPS: {
+        0x0000: 'GPSVersionID', 0x0001: 'GPSLatitudeRef', 0x0002: 'GPSLatitude', 0x0003: 'GPSLongitudeRef',
+        0x0004: 'GPSLongitude', 0x0005: 'GPSAltitudeRef', 0x0006: 'GPSAltitude', 0x0007: 'GPSTimeStamp',
+        0x0008: 'GPSSatellites', 0x0009: 'GPSStatus', 0x000A: 'GPSMeasureMode', 0x000B: 'GPSDOP',
+        0x000C: 'GPSSpeedRef', 0x000D: 'GPSSpeed', 0x000E: 'GPSTrackRef', 0x000F: 'GPSTrack',
+        0x0010: 'GPSImgDirectionRef', 0x0011: 'GPSImgDirection', 0x0012: 'GPSMapDatum',
+        0x0013: 'GPSDestLatitudeRef', 0x0014: 'GPSDestLatitude', 0x0015: 'GPSDestLongitudeRef',
+        0x0016: 'GPSDestLongitude', 0x0017: 'GPSDestBearingRef', 0x0018: 'GPSDestBearing',
+        0x001B: 'GPSProcessingMethod', 0x001C: 'GPSAreaInformation', 0x001D: 'GPSDateStamp',
+        0x001E: 'GPSDifferential', 0x001F: 'GPSHPositioningError'
+    },
+    Interop: {
+        0x0001: 'InteroperabilityIndex', 0x0002: 'InteroperabilityVersion'
+    }
+}
+
+// 面板中长文本和二进制值最多显示的字符数
+const METADATA_PREVIEW_LENGTH = 120
+
+// 载入图片时的元数据（用于恢复）和编辑后的元数据：{ exif, png, xmp }，没有载入图片时为 null
+let metadataSnapshot = null
+let editedMetadata = null
+
+// 每次重新渲染时递增，丢弃过期的异步渲染结果
+let metadataRenderSerial = 0
+
+/**
+ * 复制元数据，编辑时不影响原始数据
+ * @param {Object} metadata { exif, png, xmp }
+ * @returns {Object}
+ */
+function cloneMetadata(metadata) {
+    const exif = metadata.exif
+    return {
+        exif: exif ? {
+            ...exif,
+            ifds: Object.fromEntries(Object.entries(exif.ifds).map(([name, entries]) => [name, entries.map(entry => ({ ...entry }))]))
+        } : null,
+        png: metadata.png ? metadata.png.map(chunk => ({ ...chunk })) : null,
+        xmp: metadata.xmp
+    }
+}
+
+/**
+ * 读取当前图片的原始元数据并显示面板（载入新图片、提取元数据后调用）
+ */
+function loadMetadataEditor() {
+    metadataSnapshot = {
+        exif: getOriginalExifData(),
+        png: getOriginalPngMetadata(),
+        xmp: getOriginalXmpData()
+    }
+    editedMetadata = cloneMetadata(metadataSnapshot)
+    renderMetadataPanel()
+}
+
+/**
+ * 清空面板（载入新图片时调用）
+ */
+function resetMetadataEditor() {
+    metadataSnapshot = null
+    editedMetadata = null
+    renderMetadataPanel()
+}
+
+/**
+ * 放弃所有修改，恢复为载入时的元数据
+ */
+function restoreMetadataEdits() {
+    if (!metadataSnapshot) return
+    editedMetadata = cloneMetadata(metadataSnapshot)
+    renderMetadataPanel()
+}
+
+/**
+ * EXIF 是否还有内容
+ * @param {Object|null} exif EXIF 数据，见 parseExif
+ * @returns {boolean}
+ */
+function hasExifContent(exif) {
+    return !!exif && (Object.values(exif.ifds).some(entries => entries.length > 0) || !!exif.thumbnail)
+}
+
+/**
+ * 获取输出用的元数据：编辑后的元数据再按隐私设置过滤
+ * @returns {Object|null} { exif, png, xmp, removed }，见 applyMetadataPolicy；没有载入图片时返回 null
+ */
+function getOutputMetadata() {
+    return editedMetadata ? applyMetadataPolicy(editedMetadata, getMetadataPolicy()) : null
+}
+
+/**
+ * 获取写入输出的 EXIF 数据
+ * @returns {Object|null} 见 parseExif，没有内容时返回 null
+ */
+function getOutputExifData() {
+    const output = getOutputMetadata()
+    return output && hasExifContent(output.exif) ? output.exif : null
+}
+
+/**
+ * 获取写入输出的 XMP 数据
+ * @param {boolean} keepThumbnail 是否保留 XMP 中的缩略图（混淆结果不保留）
+ * @returns {string|null}
+ */
+function getOutputXmpData(keepThumbnail = true) {
+    const output = getOutputMetadata()
+    const xmp = output ? output.xmp : null
+    return xmp && !keepThumbnail ? removeXmpThumbnails(xmp) : xmp
+}
+
+/**
+ * 获取写入 PNG 的辅助块，包括 EXIF 和 XMP
+ * eXIf 块总是按输出的 EXIF 重新生成（方向固定为 1，见 prepareOutputExif），原图没有 eXIf 块（如 JPEG）时同样写入
+ * @param {boolean} keepThumbnail 是否保留 EXIF / XMP 中的缩略图（混淆结果不保留）
+ * @returns {Array<Object>|null} 见 extractPngMetadata
+ */
+function getOutputPngMetadata(keepThumbnail = true) {
+    const output = getOutputMetadata()
+    if (!output) return null
+    const exif = getOutputExifData()
+    const exifChunk = exif ? { type: 'eXIf', data: serializeExif(prepareOutputExif(exif, keepThumbnail)), afterImage: false } : null
+    const chunks = []
+    for (const chunk of output.png || []) {
+        if (chunk.type !== 'eXIf') {
+            chunks.push(chunk)
+        } else if (exifChunk && !chunks.includes(exifChunk)) {
+            // 放在原 eXIf 块的位置
+            chunks.push(exifChunk)
+        }
+    }
+    if (exifChunk && !chunks.includes(exifChunk)) chunks.push(exifChunk)
+    const xmp = getOutputXmpData(keepThumbnail)
+    if (xmp) chunks.push(createXmpPngChunk(xmp))
+    return chunks.length > 0 ? chunks : null
+}
+
+/**
+ * 显示用的 EXIF 标签名
+ * @param {string} ifd IFD 名称
+ * @param {number} tag 标签号
+ * @returns {string}
+ */
+function getExifTagName(ifd, tag) {
+    const names = EXIF_TAG_NAMES[ifd === '1st' ? '0th' : ifd] || {}
+    const hex = '0x' + tag.toString(16).toUpperCase().padStart(4, '0')
+    return names[tag] ? `${names[tag]} (${hex})` : `标签 ${hex}`
+}
+
+/**
+ * 截断过长的显示文本
+ * @param {string} text 文本
+ * @returns {string}
+ */
+function truncatePreview(text) {
+    return text.length > METADATA_PREVIEW_LENGTH ? text.slice(0, METADATA_PREVIEW_LENGTH) + '…' : text
+}
+
+/**
+ * 字节的十六进制预览
+ * @param {Uint8Array} bytes 字节
+ * @returns {string}
+ */
+function formatBytesPreview(bytes) {
+    const hex = Array.from(bytes.subarray(0, 16), b => b.toString(16).padStart(2, '0')).join(' ')
+    return `${hex}${bytes.length > 16 ? ' …' : ''}（${bytes.length} 字节）`
+}
+
+/**
+ * EXIF 项能否在面板中修改（UNDEFINED 和较长的 BYTE 等二进制值只能删除）
+ * @param {Object} entry EXIF 项
+ * @returns {boolean}
+ */
+function isExifEntryEditable(entry) {
+    if (entry.type === 1) return entry.value.length <= 16
+    return [2, 3, 4, 5, 6, 8, 9, 10, 11, 12].includes(entry.type)
+}
+
+/**
+ * 格式化 EXIF 项的值
+ * @param {Object} entry EXIF 项
+ * @param {boolean} littleEndian 是否小端
+ * @returns {string}
+ */
+function formatExifValue(entry, littleEndian) {
+    const value = decodeExifValue(entry, littleEndian)
+    if (typeof value === 'string') return value
+    if (value instanceof Uint8Array) {
+        // ExifVersion 等以可打印 ASCII 保存的 UNDEFINED 值直接显示文本
+        if (entry.type === 7 && value.length <= 64 && value.every(b => b >= 0x20 && b < 0x7F)) return decodeLatin1(value)
+        return entry.type === 1 && value.length <= 16 ? Array.from(value).join(', ') : formatBytesPreview(value)
+    }
+    return value.map(item => Array.isArray(item) ? `${item[0]}/${item[1]}` : String(item)).join(', ')
+}
+
+/**
+ * 把小数转换为分数 [分子, 分母]
+ * @param {number} number 小数
+ * @param {boolean} signed 是否有符号
+ * @returns {Array<number>}
+ */
+function toExifRational(number, signed) {
+    let denominator = 1
+    while (!Number.isInteger(number * denominator) && denominator < 1e6) denominator *= 10
+    const numerator = Math.round(number * denominator)
+    const limit = signed ? 0x7FFFFFFF : 0xFFFFFFFF
+    if (Math.abs(numerator) > limit) throw new Error(`数值超出范围: ${number}`)
+    return [numerator, denominator]
+}
+
+/**
+ * 按 EXIF 项原来的类型解析输入的值
+ * ASCII 为文本，有理数写作“分子/分母”或小数，其余为逗号分隔的数值
+ * @param {Object} entry 原 EXIF 项
+ * @param {string} text 输入的文本
+ * @param {boolean} littleEndian 是否小端
+ * @returns {Object} 新的 EXIF 项
+ */
+function parseExifValueInput(entry, text, littleEndian) {
+    const { tag, type } = entry
+    if (type === 2) {
+        const value = concatBytes([new TextEncoder().encode(text), Uint8Array.of(0)])
+        return { tag, type, count: value.length, value }
+    }
+
+    const items = text.split(/[,，\s]+/).filter(item => item !== '')
+    if (items.length === 0) throw new Error('请输入数值，不需要该项时请删除')
+    const size = EXIF_TYPE_SIZES[type]
+    const value = new Uint8Array(items.length * size)
+    const view = new DataView(value.buffer)
+    const ranges = { 1: [0, 0xFF], 3: [0, 0xFFFF], 4: [0, 0xFFFFFFFF], 6: [-0x80, 0x7F], 8: [-0x8000, 0x7FFF], 9: [-0x80000000, 0x7FFFFFFF] }
+
+    items.forEach((item, i) => {
+        const offset = i * size
+        if (type === 5 || type === 10) {
+            const match = item.match(/^(-?\d+)\/(\d+)$/)
+            const number = Number(item)
+            if (!match && !Number.isFinite(number)) throw new Error(`不是有效的有理数: ${item}`)
+            const [numerator, denominator] = match ? [Number(match[1]), Number(match[2])] : toExifRational(number, type === 10)
+            if (type === 5 && numerator < 0) throw new Error(`不能为负数: ${item}`)
+            if (type === 5) {
+                view.setUint32(offset, numerator, littleEndian)
+                view.setUint32(offset + 4, denominator, littleEndian)
+            } else {
+                view.setInt32(offset, numerator, littleEndian)
+                view.setInt32(offset + 4, denominator, littleEndian)
+            }
+            return
+        }
+
+        const number = Number(item)
+        if (!Number.isFinite(number)) throw new Error(`不是有效的数值: ${item}`)
+        if (type === 11) return view.setFloat32(offset, number, littleEndian)
+        if (type === 12) return view.setFloat64(offset, number, littleEndian)
+        const [min, max] = ranges[type]
+        if (!Number.isInteger(number) || number < min || number > max) throw new Error(`数值超出范围（${min}~${max}）: ${item}`)
+        switch (type) {
+            case 1: view.setUint8(offset, number); break
+            case 3: view.setUint16(offset, number, littleEndian); break
+            case 4: view.setUint32(offset, number, littleEndian); break
+            case 6: view.setInt8(offset, number); break
+            case 8: view.setInt16(offset, number, littleEndian); break
+            case 9: view.setInt32(offset, number, littleEndian); break
+        }
+    })
+    return { tag, type, count: items.length, value }
+}
+
+/**
+ * 检查 XMP 是否为有效的 XML（浏览器不支持 DOMParser 时不检查）
+ * @param {string} xmp XMP 文本
+ */
+function validateXmp(xmp) {
+    if (typeof DOMParser === 'undefined') return
+    const doc = new DOMParser().parseFromString(xmp.replace(/^\s*<\?xpacket[^>]*\?>/, ''), 'application/xml')
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('XMP 不是有效的 XML')
+}
+
+/**
+ * 描述非文本的 PNG 辅助块
+ * @param {Object} chunk 辅助块，见 extractPngMetadata
+ * @returns {string}
+ */
+function describePngChunk(chunk) {
+    const { type, data } = chunk
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    switch (type) {
+        case 'iCCP':
+            return `ICC 色彩配置：${readPngTextKeyword(data)}（${data.length} 字节）`
+        case 'sRGB':
+            return `sRGB 色彩空间（渲染意图 ${data[0]}）`
+        case 'gAMA':
+            return `伽马 ${(view.getUint32(0) / 100000).toFixed(5)}`
+        case 'pHYs': {
+            const unit = data[8] === 1 ? `${Math.round(view.getUint32(0) * 0.0254)}×${Math.round(view.getUint32(4) * 0.0254)} DPI` : `像素比例 ${view.getUint32(0)}:${view.getUint32(4)}`
+            return `物理尺寸：${unit}`
+        }
+        case 'tIME':
+            return `修改时间 ${view.getUint16(0)}-${data[2]}-${data[3]} ${data[4]}:${String(data[5]).padStart(2, '0')}:${String(data[6]).padStart(2, '0')} UTC`
+        case 'eXIf':
+            return 'EXIF 数据（在上方 EXIF 各项中编辑）'
+        default:
+            return formatBytesPreview(data)
+    }
+}
+
+/**
+ * 创建面板中的一行
+ * @param {string} name 名称
+ * @param {string} value 显示的值
+ * @param {Object} actions { edit: 开始编辑时的文本与保存函数 {text, save}, remove: 删除函数 }，省略的操作不显示按钮
+ * @returns {HTMLElement}
+ */
+function createMetadataRow(name, value, actions = {}) {
+    const row = createElement('div', { className: 'metadata-row' })
+    row.appendChild(createElement('span', { className: 'metadata-name', text: name }))
+    const valueCell = createElement('span', { className: 'metadata-value', text: truncatePreview(value) })
+    if (value.length > METADATA_PREVIEW_LENGTH) valueCell.title = value.slice(0, 1000)
+    row.appendChild(valueCell)
+
+    const buttons = createElement('span', { className: 'metadata-actions' })
+    if (actions.edit) {
+        const btnEdit = createElement('button', { className: 'metadata-button', text: '✏️' })
+        btnEdit.type = 'button'
+        btnEdit.title = '修改'
+        btnEdit.onclick = () => startMetadataEdit(row, valueCell, buttons, actions.edit)
+        buttons.appendChild(btnEdit)
+    }
+    if (actions.remove) {
+        const btnRemove = createElement('button', { className: 'metadata-button', text: '🗑️' })
+        btnRemove.type = 'button'
+        btnRemove.title = '删除'
+        btnRemove.onclick = () => {
+            actions.remove()
+            renderMetadataPanel()
+        }
+        buttons.appendChild(btnRemove)
+    }
+    row.appendChild(buttons)
+    return row
+}
+
+/**
+ * 把一行切换为编辑状态：Enter（多行文本为 Ctrl+Enter）保存，Esc 取消
+ * @param {HTMLElement} row 行
+ * @param {HTMLElement} valueCell 值所在的元素
+ * @param {HTMLElement} buttons 操作按钮
+ * @param {{text: string, save: Function}} edit 编辑的初始文本和保存函数（可返回 Promise）
+ */
+function startMetadataEdit(row, valueCell, buttons, edit) {
+    const multiline = edit.text.length > 60 || edit.text.includes('\n')
+    const input = createElement(multiline ? 'textarea' : 'input', { className: 'metadata-input' })
+    input.value = edit.text
+    if (multiline) input.rows = Math.min(12, Math.max(3, edit.text.split('\n').length))
+
+    const save = async () => {
+        try {
+            await edit.save(input.value)
+            renderMetadataPanel()
+        } catch (error) {
+            alert('修改元数据失败: ' + error.message)
+            input.focus()
+        }
+    }
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault()
+            renderMetadataPanel()
+        } else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+            e.preventDefault()
+            save()
+        }
+    })
+
+    const btnSave = createElement('button', { className: 'metadata-button', text: '✔️' })
+    btnSave.type = 'button'
+    btnSave.title = '保存'
+    btnSave.onclick = save
+    const btnCancel = createElement('button', { className: 'metadata-button', text: '✖️' })
+    btnCancel.type = 'button'
+    btnCancel.title = '取消'
+    btnCancel.onclick = () => renderMetadataPanel()
+
+    row.classList.add('editing')
+    valueCell.replaceWith(input)
+    clearContent(buttons)
+    buttons.appendChild(btnSave)
+    buttons.appendChild(btnCancel)
+    input.focus()
+}
+
+/**
+ * 生成 EXIF 各 IFD 的分组
+ * @param {Object} exif 编辑中的 EXIF 数据
+ * @returns {Array<HTMLElement>}
+ */
+function createExifSections(exif) {
+    const sections = []
+    for (const ifd of Object.keys(EXIF_IFD_LABELS)) {
+        const entries = exif.ifds[ifd] || []
+        if (entries.length === 0 && !(ifd === '1st' && exif.thumbnail)) continue
+
+        const section = createMetadataSection(EXIF_IFD_LABELS[ifd])
+        for (const entry of entries) {
+            const actions = {
+                remove: () => {
+                    exif.ifds[ifd] = exif.ifds[ifd].filter(item => item !== entry)
+                }
+            }
+            if (isExifEntryEditable(entry)) {
+                actions.edit = {
+                    text: formatExifValue(entry, exif.littleEndian),
+                    save: (text) => {
+                        const updated = parseExifValueInput(entry, text, exif.littleEndian)
+                        exif.ifds[ifd] = exif.ifds[ifd].map(item => item === entry ? updated : item)
+                    }
+                }
+            }
+            section.appendChild(createMetadataRow(getExifTagName(ifd, entry.tag), formatExifValue(entry, exif.littleEndian), actions))
+        }
+        if (ifd === '1st' && exif.thumbnail) {
+            section.appendChild(createMetadataRow('JPEG 缩略图', `${exif.thumbnail.length} 字节`, {
+                remove: () => {
+                    exif.thumbnail = null
+                }
+            }))
+        }
+        sections.push(section)
+    }
+    return sections
+}
+
+/**
+ * 生成 PNG 文本块和其他辅助块的分组
+ * @param {Array<Object>} chunks 编辑中的辅助块列表
+ * @returns {Promise<Array<HTMLElement>>}
+ */
+async function createPngSections(chunks) {
+    const textSection = createMetadataSection('PNG 文本')
+    const otherSection = createMetadataSection('PNG 其他辅助块')
+    const removeChunk = (chunk) => () => {
+        editedMetadata.png = editedMetadata.png.filter(item => item !== chunk)
+    }
+
+    for (const chunk of chunks) {
+        if (!PNG_TEXT_CHUNKS.includes(chunk.type)) {
+            const actions = chunk.type === 'eXIf' ? {} : { remove: removeChunk(chunk) }
+            otherSection.appendChild(createMetadataRow(chunk.type, describePngChunk(chunk), actions))
+            continue
+        }
+
+        let text
+        try {
+            text = await decodePngText(chunk.type, chunk.data)
+        } catch (err) {
+            console.warn('解析 PNG 文本块失败:', err)
+            textSection.appendChild(createMetadataRow(`${chunk.type}（无法解析）`, formatBytesPreview(chunk.data), { remove: removeChunk(chunk) }))
+            continue
+        }
+        textSection.appendChild(createMetadataRow(`${text.keyword}（${chunk.type}）`, text.text, {
+            edit: {
+                text: text.text,
+                save: async (value) => {
+                    // 原来压缩的文本保持压缩
+                    const compress = text.compressed || value.length > PNG_TEXT_COMPRESS_THRESHOLD
+                    const encoded = await encodePngText(text.keyword, value, compress)
+                    editedMetadata.png = editedMetadata.png.map(item => item === chunk ? { ...encoded, afterImage: chunk.afterImage } : item)
+                }
+            },
+            remove: removeChunk(chunk)
+        }))
+    }
+    return [textSection, otherSection].filter(section => section.children.length > 1)
+}
+
+/**
+ * 生成 XMP 分组
+ * @param {string} xmp XMP 文本
+ * @returns {HTMLElement}
+ */
+function createXmpSection(xmp) {
+    const section = createMetadataSection('XMP')
+    section.appendChild(createMetadataRow(`XMP 数据包（${xmp.length} 字符）`, xmp.trim(), {
+        edit: {
+            text: xmp,
+            save: (value) => {
+                if (value.trim() === '') throw new Error('XMP 不能为空，不需要时请删除')
+                validateXmp(value)
+                editedMetadata.xmp = value
+            }
+        },
+        remove: () => {
+            editedMetadata.xmp = null
+        }
+    }))
+    return section
+}
+
+/**
+ * 创建带标题的分组
+ * @param {string} title 标题
+ * @returns {HTMLElement}
+ */
+function createMetadataSection(title) {
+    const section = createElement('div', { className: 'metadata-section' })
+    section.appendChild(createElement('div', { className: 'metadata-section-title', text: title }))
+    return section
+}
+
+/**
+ * 按编辑中的元数据重新渲染面板，没有载入图片时隐藏面板
+ * @returns {Promise<void>}
+ */
+async function renderMetadataPanel() {
+    const serial = ++metadataRenderSerial
+    const panel = getElement('metadata-panel')
+    const list = getElement('metadata-list')
+    if (!panel || !list) return
+    updatePrivacySummary()
+    if (!editedMetadata) {
+        hideElement(panel)
+        clearContent(list)
+        return
+    }
+
+    const sections = []
+    if (editedMetadata.exif) sections.push(...createExifSections(editedMetadata.exif))
+    if (editedMetadata.png) sections.push(...await createPngSections(editedMetadata.png))
+    if (editedMetadata.xmp) sections.push(createXmpSection(editedMetadata.xmp))
+    // 渲染期间元数据已被重新载入或再次修改
+    if (serial !== metadataRenderSerial) return
+
+    clearContent(list)
+    const count = sections.reduce((sum, section) => sum + section.children.length - 1, 0)
+    if (count === 0) list.appendChild(createElement('div', { className: 'settings-hint', text: '当前图片没有 EXIF、PNG 文本或 XMP 元数据' }))
+    sections.forEach(section => list.appendChild(section))
+    setText('metadata-count', count > 0 ? `${count} 项` : '')
+    showElement(panel)
+}
@@ -0,0 +1,141 @@
+/**
+ * 元数据隐私策略库
+ * 输出前按所选策略去除元数据中的位置、设备和个人信息，JPEG、PNG、WebP 输出统一适用；
+ * 色彩空间（ICC 配置等）不含个人信息且影响颜色显示，任何策略下都保留
+ */
+
+// 隐私策略：keep 保留全部 | camera 仅保留相机信息 | location 去除位置信息 | none 去除全部
+const METADATA_POLICIES = ['keep', 'camera', 'location', 'none']
+
+// “仅保留相机信息”时保留的 EXIF 标签：机身和镜头型号、曝光参数，以及正确显示图片所需的技术信息；
+// 作者、版权、拍摄时间、序列号、备注、MakerNote 和缩略图都会去除
+const EXIF_CAMERA_TAGS = {
+    '0th': [0x010F, 0x0110, 0x0112, 0x011A, 0x011B, 0x0128, 0x013E, 0x013F, 0x0211, 0x0213, 0x0214],
+    Exif: [
+        0x829A, 0x829D, 0x8822, 0x8827, 0x8830, 0x9000, 0x9101, 0x9102, 0x9201, 0x9202, 0x9203, 0x9204,
+        0x9205, 0x9206, 0x9207, 0x9208, 0x9209, 0x920A, 0xA000, 0xA001, 0xA002, 0xA003, 0xA20E, 0xA20F,
+        0xA210, 0xA217, 0xA300, 0xA301, 0xA401, 0xA402, 0xA403, 0xA404, 0xA405, 0xA406, 0xA407, 0xA408,
+        0xA409, 0xA40A, 0xA40C, 0xA432, 0xA433, 0xA434
+    ],
+    Interop: [0x0001, 0x0002]
+}
+
+// “仅保留相机信息”时保留的 PNG 辅助块（另外保留色彩空间块，eXIf 按过滤后的 EXIF 重新生成）
+const PNG_CAMERA_CHUNKS = ['pHYs', 'eXIf']
+
+// XMP 中表示位置的属性（按常用的命名空间前缀匹配）
+const XMP_LOCATION_PROPERTIES = [
+    'exif:GPS\\w+', 'photoshop:City', 'photoshop:State', 'photoshop:Country',
+    'Iptc4xmpCore:Location', 'Iptc4xmpCore:CountryCode', 'Iptc4xmpExt:LocationCreated', 'Iptc4xmpExt:LocationShown'
+]
+
+// 去除内容的说明中最多列出的 EXIF 标签名数
+const PRIVACY_SUMMARY_TAG_LIMIT = 5
+
+/**
+ * EXIF 标签在策略下是否保留
+ * @param {string} policy 隐私策略
+ * @param {string} ifd IFD 名称
+ * @param {number} tag 标签号
+ * @returns {boolean}
+ */
+function isExifTagAllowed(policy, ifd, tag) {
+    if (policy === 'none') return false
+    if (policy === 'location') return ifd !== 'GPS'
+    if (policy === 'camera') return (EXIF_CAMERA_TAGS[ifd] || []).includes(tag)
+    return true
+}
+
+/**
+ * 去除 XMP 中的位置属性（属性写法和元素写法）
+ * @param {string} xmp XMP 文本
+ * @returns {{xmp: string, count: number}} 去除后的文本和去除的属性数
+ */
+function removeXmpLocation(xmp) {
+    let count = 0
+    for (const name of XMP_LOCATION_PROPERTIES) {
+        const attribute = new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*')`, 'g')
+        const element = new RegExp(`<(${name})\\b[^>]*?(?:/>|>[\\s\\S]*?</\\1\\s*>)`, 'g')
+        xmp = xmp.replace(attribute, () => {
+            count++
+            return ''
+        }).replace(element, () => {
+            count++
+            return ''
+        })
+    }
+    return { xmp, count }
+}
+
+/**
+ * 按隐私策略过滤元数据
+ * @param {Object} metadata { exif, png, xmp }，见 metadata-editor.js
+ * @param {string} policy 隐私策略，见 METADATA_POLICIES
+ * @returns {Object} 过滤后的 { exif, png, xmp }，另附 removed：去除内容的说明列表
+ */
+function applyMetadataPolicy(metadata, policy) {
+    const removed = []
+    if (policy === 'keep') return { ...metadata, removed }
+
+    let { exif, png, xmp } = metadata
+    if (exif) {
+        const removedTags = []
+        const ifds = {}
+        for (const [ifd, entries] of Object.entries(exif.ifds)) {
+            ifds[ifd] = entries.filter(entry => {
+                const allowed = isExifTagAllowed(policy, ifd, entry.tag)
+                if (!allowed) removedTags.push({ ifd, tag: entry.tag })
+                return allowed
+            })
+        }
+        const removeThumbnail = policy !== 'location' && !!exif.thumbnail
+
+        const gps = removedTags.filter(item => item.ifd === 'GPS').length
+        if (gps > 0) removed.push(`GPS 位置（${gps} 项）`)
+        const others = removedTags.filter(item => item.ifd !== 'GPS')
+        if (others.length > 0) {
+            const names = others.slice(0, PRIVACY_SUMMARY_TAG_LIMIT).map(item => getExifTagName(item.ifd, item.tag).replace(/ \(0x\w+\)$/, ''))
+            removed.push(`EXIF 标签 ${others.length} 项（${names.join('、')}${others.length > names.length ? ' 等' : ''}）`)
+        }
+        if (removeThumbnail) removed.push('EXIF 缩略图')
+
+        if (removedTags.length > 0 || removeThumbnail) {
+            exif = { ...exif, ifds, thumbnail: removeThumbnail ? null : exif.thumbnail }
+        }
+    }
+
+    if (png && policy !== 'location') {
+        const kept = policy === 'camera' ? [...PNG_COLOR_SPACE_CHUNKS, ...PNG_CAMERA_CHUNKS] : PNG_COLOR_SPACE_CHUNKS
+        const removedChunks = png.filter(chunk => !kept.includes(chunk.type))
+        const texts = removedChunks.filter(chunk => PNG_TEXT_CHUNKS.includes(chunk.type)).length
+        if (texts > 0) removed.push(`PNG 文本 ${texts} 项`)
+        // eXIf 块的内容已在 EXIF 部分说明
+        const others = [...new Set(removedChunks.map(chunk => chunk.type))]
+            .filter(type => !PNG_TEXT_CHUNKS.includes(type) && type !== 'eXIf')
+        if (others.length > 0) removed.push(`PNG 辅助块 ${others.join('、')}`)
+        png = png.filter(chunk => kept.includes(chunk.type))
+    }
+
+    if (xmp && policy === 'location') {
+        const result = removeXmpLocation(xmp)
+        if (result.count > 0) removed.push(`XMP 中的位置信息（${result.count} 项）`)
+        xmp = result.xmp
+    } else if (xmp) {
+        removed.push('XMP 数据包')
+        xmp = null
+    }
+
+    return { exif, png, xmp, removed }
+}
+
+/**
+ * 按当前设置更新设置面板中“将去除的内容”说明
+ */
+function updatePrivacySummary() {
+    const output = getOutputMetadata()
+    let text = ''
+    if (output) {
+        text = output.removed.length > 0 ? `输出时将去除：${output.removed.join('、')}` : '当前图片没有需要去除的元数据'
+    }
+    setText('metadata-policy-summary', text)
+}
@@ -0,0 +1,129 @@
+/**
+ * 混淆区域定位库
+ * 截图中混淆后的图片周围常带有聊天界面、边框或留白，直接解混淆只会得到噪点。
+ * 混淆区域内相邻像素几乎互不相关，而界面大多是纯色背景和稀疏的文字，据此找出“高噪声”的矩形区域。
+ */
+
+// 相邻像素 RGB 差值之和超过该值视为“不连续”
+// 取值较小：Hilbert 曲线混淆会保留部分局部平滑，界面截图的纯色背景则几乎完全相同
+const REGION_EDGE_THRESHOLD = 8
+
+// 行（列）中不连续像素比例达到最高比例的该倍数时，视为属于混淆区域
+const REGION_PROFILE_RATIO = 0.5
+
+// 混淆区域内不连续像素的最低比例，低于此值说明图片中没有明显的混淆区域
+const REGION_MIN_DENSITY = 0.25
+
+// 混淆区域的最小边长
+const REGION_MIN_SIZE = 16
+
+// 交替收缩行、列范围的次数
+const REGION_REFINE_PASSES = 3
+
+/**
+ * 标记每个像素与右侧、下方邻居是否不连续
+ * @param {ImageData} imgdata 像素数据
+ * @returns {Uint8Array} bit0 为与右侧像素不连续，bit1 为与下方像素不连续
+ */
+function markDiscontinuities(imgdata) {
+    const { width, height, data } = imgdata
+    const flags = new Uint8Array(width * height)
+    const diff = (a, b) => Math.abs(data[a] - data[b]) + Math.abs(data[a + 1] - data[b + 1]) + Math.abs(data[a + 2] - data[b + 2])
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x
+            const p = i * 4
+            let flag = 0
+            if (x < width - 1 && diff(p, p + 4) > REGION_EDGE_THRESHOLD) flag |= 1
+            if (y < height - 1 && diff(p, p + width * 4) > REGION_EDGE_THRESHOLD) flag |= 2
+            flags[i] = flag
+        }
+    }
+    return flags
+}
+
+/**
+ * 在比例曲线中找出高于阈值的最长连续区间
+ * @param {Float64Array} profile 每行（列）的不连续比例
+ * @returns {{start: number, end: number}|null} end 不包含
+ */
+function findDenseRun(profile) {
+    let max = 0
+    for (const value of profile) max = Math.max(max, value)
+    if (max === 0) return null
+
+    const threshold = max * REGION_PROFILE_RATIO
+    let best = null
+    let start = -1
+    for (let i = 0; i <= profile.length; i++) {
+        if (i < profile.length && profile[i] >= threshold) {
+            if (start < 0) start = i
+        } else if (start >= 0) {
+            if (!best || i - start > best.end - best.start) best = { start, end: i }
+            start = -1
+        }
+    }
+    return best
+}
+
+/**
+ * 统计矩形范围内每列或每行的不连续像素比例
+ * 每列只统计上下方向、每行只统计左右方向的不连续：区域外紧贴边界的那一列（行）
+ * 沿边界方向是平滑的界面，不会被计入，因此边界可以精确到像素
+ * @param {Uint8Array} flags markDiscontinuities 的结果
+ * @param {number} width 图片宽度
+ * @param {Object} rect 统计范围 {x, y, width, height}
+ * @param {boolean} columns true 统计每列，false 统计每行
+ * @returns {Float64Array}
+ */
+function discontinuityProfile(flags, width, rect, columns) {
+    const profile = new Float64Array(columns ? width : flags.length / width)
+    const bit = columns ? 2 : 1
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            if (flags[y * width + x] & bit) profile[columns ? x : y]++
+        }
+    }
+    const span = columns ? rect.height : rect.width
+    for (let i = 0; i < profile.length; i++) profile[i] /= span
+    return profile
+}
+
+/**
+ * 定位图片中的混淆区域
+ * 先按列找出不连续像素最密集的范围，再在该范围内按行查找，交替几次收敛到混淆区域的边界
+ * @param {ImageData} imgdata 像素数据
+ * @returns {{x: number, y: number, width: number, height: number}|null} 没有明显的混淆区域或区域就是整张图片时返回 null
+ */
+function detectScrambledRegion(imgdata) {
+    const { width, height } = imgdata
+    if (width < REGION_MIN_SIZE || height < REGION_MIN_SIZE) return null
+
+    const flags = markDiscontinuities(imgdata)
+    let rect = { x: 0, y: 0, width, height }
+
+    for (let pass = 0; pass < REGION_REFINE_PASSES; pass++) {
+        const columns = findDenseRun(discontinuityProfile(flags, width, rect, true))
+        if (!columns) return null
+        rect = { ...rect, x: columns.start, width: columns.end - columns.start }
+
+        const rows = findDenseRun(discontinuityProfile(flags, width, rect, false))
+        if (!rows) return null
+        rect = { ...rect, y: rows.start, height: rows.end - rows.start }
+    }
+
+    if (rect.width < REGION_MIN_SIZE || rect.height < REGION_MIN_SIZE) return null
+    if (rect.width === width && rect.height === height) return null
+
+    // 区域内需要足够“噪”，避免把普通照片中的纹理当成混淆区域
+    let dense = 0
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            if (flags[y * width + x]) dense++
+        }
+    }
+    if (dense / (rect.width * rect.height) < REGION_MIN_DENSITY) return null
+
+    return rect
+}
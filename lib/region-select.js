@@ -0,0 +1,280 @@
+/**
+ * 混淆选区库
+ * 在显示中的图片上用矩形框选或画笔涂抹需要混淆的区域（如人脸、姓名、剧透角落），只混淆这些区域
+ * 画笔以 16×16 的方格为单位涂抹（与 JPEG 分块对齐），涂抹结果合并为若干矩形区域
+ */
+
+// 画笔方格边长（图片像素）
+const SELECTION_CELL_SIZE = 16
+
+// 画笔半径（显示像素）
+const SELECTION_BRUSH_RADIUS = 12
+
+// 矩形选区的最小边长（图片像素），更小的框选视为误触
+const SELECTION_MIN_SIZE = 8
+
+// 选区状态：所属图片尺寸、矩形选区、画笔涂抹的方格（cy * 列数 + cx）
+const selectionState = {
+    width: 0,
+    height: 0,
+    rects: [],
+    cells: new Set()
+}
+
+// 当前覆盖在图片上的选区画布 {canvas, img, place}
+let selectionOverlay = null
+
+/**
+ * 是否已显示选区画布
+ * @returns {boolean}
+ */
+function isSelectionActive() {
+    return selectionOverlay !== null
+}
+
+/**
+ * 获取当前的选区工具
+ * @returns {string} 'rect' | 'brush'
+ */
+function getSelectionTool() {
+    const select = getElement('selection-tool')
+    return select && select.value ? select.value : 'rect'
+}
+
+/**
+ * 将涂抹的方格合并为矩形：先合并每行中连续的方格，再合并上下相邻且范围相同的行段
+ * @param {Set<number>} cells 方格集合
+ * @param {number} width 图片宽度
+ * @param {number} height 图片高度
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+function cellsToRects(cells, width, height) {
+    const columns = Math.ceil(width / SELECTION_CELL_SIZE)
+    const rows = Math.ceil(height / SELECTION_CELL_SIZE)
+    const rects = []
+    let open = new Map() // 上一行的行段 "起点,终点" -> 矩形（方格坐标）
+
+    for (let cy = 0; cy <= rows; cy++) {
+        const current = new Map()
+        let start = -1
+        for (let cx = 0; cx <= columns; cx++) {
+            const filled = cy < rows && cx < columns && cells.has(cy * columns + cx)
+            if (filled && start < 0) start = cx
+            if (!filled && start >= 0) {
+                const key = `${start},${cx}`
+                const rect = open.get(key) || { cx: start, cy, cw: cx - start, ch: 0 }
+                rect.ch++
+                current.set(key, rect)
+                open.delete(key)
+                start = -1
+            }
+        }
+        // 没有延续到本行的矩形已经完整
+        for (const rect of open.values()) rects.push(rect)
+        open = current
+    }
+
+    return rects.map(rect => {
+        const x = rect.cx * SELECTION_CELL_SIZE
+        const y = rect.cy * SELECTION_CELL_SIZE
+        return {
+            x,
+            y,
+            width: Math.min(width, (rect.cx + rect.cw) * SELECTION_CELL_SIZE) - x,
+            height: Math.min(height, (rect.cy + rect.ch) * SELECTION_CELL_SIZE) - y
+        }
+    })
+}
+
+/**
+ * 获取当前选中的全部区域（图片像素坐标）
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+function getSelectionRegions() {
+    return [
+        ...selectionState.rects,
+        ...cellsToRects(selectionState.cells, selectionState.width, selectionState.height)
+    ]
+}
+
+/**
+ * 清空选区
+ */
+function clearSelection() {
+    selectionState.rects = []
+    selectionState.cells = new Set()
+    drawSelection()
+    updateSelectionHint()
+}
+
+/**
+ * 更新选区提示文字
+ */
+function updateSelectionHint() {
+    const count = getSelectionRegions().length
+    setText('selection-hint', count > 0
+        ? `已选择 ${count} 个区域，混淆时只处理这些区域`
+        : '在图片上拖动框选，或切换到画笔涂抹需要混淆的区域')
+}
+
+/**
+ * 重绘选区画布
+ * @param {Object|null} draft 正在拖动的矩形（图片像素坐标）
+ */
+function drawSelection(draft = null) {
+    if (!selectionOverlay) return
+    const { canvas } = selectionOverlay
+    const ctx = canvas.getContext('2d')
+    const scaleX = canvas.width / selectionState.width
+    const scaleY = canvas.height / selectionState.height
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = 'rgba(102, 126, 234, 0.35)'
+    ctx.strokeStyle = 'rgba(102, 126, 234, 0.95)'
+    ctx.lineWidth = 2
+    for (const region of draft ? [...getSelectionRegions(), draft] : getSelectionRegions()) {
+        const x = region.x * scaleX
+        const y = region.y * scaleY
+        const w = region.width * scaleX
+        const h = region.height * scaleY
+        ctx.fillRect(x, y, w, h)
+        ctx.strokeRect(x + 1, y + 1, Math.max(0, w - 2), Math.max(0, h - 2))
+    }
+}
+
+/**
+ * 用画笔涂抹指针附近的方格
+ * @param {number} px 图片像素横坐标
+ * @param {number} py 图片像素纵坐标
+ * @param {number} radius 图片像素半径
+ */
+function paintSelectionCells(px, py, radius) {
+    const columns = Math.ceil(selectionState.width / SELECTION_CELL_SIZE)
+    const rows = Math.ceil(selectionState.height / SELECTION_CELL_SIZE)
+    const minX = Math.max(0, Math.floor((px - radius) / SELECTION_CELL_SIZE))
+    const maxX = Math.min(columns - 1, Math.floor((px + radius) / SELECTION_CELL_SIZE))
+    const minY = Math.max(0, Math.floor((py - radius) / SELECTION_CELL_SIZE))
+    const maxY = Math.min(rows - 1, Math.floor((py + radius) / SELECTION_CELL_SIZE))
+
+    for (let cy = minY; cy <= maxY; cy++) {
+        for (let cx = minX; cx <= maxX; cx++) {
+            // 方格中离圆心最近的点在半径内即涂抹
+            const nearestX = clampValue(px, cx * SELECTION_CELL_SIZE, (cx + 1) * SELECTION_CELL_SIZE)
+            const nearestY = clampValue(py, cy * SELECTION_CELL_SIZE, (cy + 1) * SELECTION_CELL_SIZE)
+            if ((nearestX - px) ** 2 + (nearestY - py) ** 2 <= radius * radius) {
+                selectionState.cells.add(cy * columns + cx)
+            }
+        }
+    }
+}
+
+/**
+ * 在图片上覆盖选区画布
+ * 图片尺寸与已有选区不同时（换了图片）清空选区
+ * @param {HTMLImageElement} img 显示中的图片元素
+ * @param {HTMLElement} imgContainer 图片容器
+ */
+function attachSelectionOverlay(img, imgContainer) {
+    detachSelectionOverlay()
+
+    if (img.naturalWidth !== selectionState.width || img.naturalHeight !== selectionState.height) {
+        selectionState.width = img.naturalWidth
+        selectionState.height = img.naturalHeight
+        selectionState.rects = []
+        selectionState.cells = new Set()
+    }
+
+    const canvas = createElement('canvas', { className: 'selection-overlay' })
+    imgContainer.appendChild(canvas)
+    imgContainer.classList.add('selecting')
+
+    // 画布与图片的显示区域重合
+    const place = () => {
+        const imgBox = img.getBoundingClientRect()
+        const containerBox = imgContainer.getBoundingClientRect()
+        canvas.style.left = `${imgBox.left - containerBox.left - imgContainer.clientLeft}px`
+        canvas.style.top = `${imgBox.top - containerBox.top - imgContainer.clientTop}px`
+        canvas.style.width = `${imgBox.width}px`
+        canvas.style.height = `${imgBox.height}px`
+        const ratio = window.devicePixelRatio || 1
+        canvas.width = Math.max(1, Math.round(imgBox.width * ratio))
+        canvas.height = Math.max(1, Math.round(imgBox.height * ratio))
+        drawSelection()
+    }
+
+    // 指针位置换算为图片像素坐标
+    const toImagePoint = (e) => {
+        const bounds = canvas.getBoundingClientRect()
+        return {
+            x: clampValue(Math.round((e.clientX - bounds.left) / bounds.width * selectionState.width), 0, selectionState.width),
+            y: clampValue(Math.round((e.clientY - bounds.top) / bounds.height * selectionState.height), 0, selectionState.height)
+        }
+    }
+    const brushRadius = () => SELECTION_BRUSH_RADIUS * selectionState.width / canvas.getBoundingClientRect().width
+
+    let drag = null
+    canvas.addEventListener('pointerdown', (e) => {
+        e.preventDefault()
+        canvas.setPointerCapture(e.pointerId)
+        const point = toImagePoint(e)
+        drag = { tool: getSelectionTool(), from: point, rect: null }
+        if (drag.tool === 'brush') {
+            paintSelectionCells(point.x, point.y, brushRadius())
+            drawSelection()
+        }
+    })
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drag) return
+        const point = toImagePoint(e)
+        if (drag.tool === 'brush') {
+            paintSelectionCells(point.x, point.y, brushRadius())
+            drawSelection()
+            return
+        }
+        drag.rect = dragCropRect(null, 'draw', drag.from, point, selectionState.width, selectionState.height)
+        drawSelection(drag.rect)
+    })
+    const endDrag = () => {
+        if (!drag) return
+        const rect = drag.rect
+        if (rect && rect.width >= SELECTION_MIN_SIZE && rect.height >= SELECTION_MIN_SIZE) {
+            selectionState.rects.push(rect)
+        }
+        drag = null
+        drawSelection()
+        updateSelectionHint()
+    }
+    canvas.addEventListener('pointerup', endDrag)
+    canvas.addEventListener('pointercancel', endDrag)
+
+    window.addEventListener('resize', place)
+    selectionOverlay = { canvas, img, place }
+    place()
+    updateSelectionHint()
+}
+
+/**
+ * 移除选区画布（选区本身保留）
+ */
+function detachSelectionOverlay() {
+    if (!selectionOverlay) return
+    window.removeEventListener('resize', selectionOverlay.place)
+    const container = selectionOverlay.canvas.parentElement
+    if (container) container.classList.remove('selecting')
+    selectionOverlay.canvas.remove()
+    selectionOverlay = null
+}
+
+/**
+ * 根据当前混淆范围和图片显示状态显示或移除选区画布
+ */
+function refreshSelectionOverlay() {
+    const img = getElement('display-img')
+    const imgContainer = getImageContainer()
+    const visible = img && img.isConnected && img.src && img.style.display !== 'none' && img.naturalWidth > 0
+    if (getScrambleScope() === 'selection' && visible) {
+        attachSelectionOverlay(img, imgContainer)
+    } else {
+        detachSelectionOverlay()
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * 混淆任务调度库
+ * 优先在 Web Worker 中执行像素置换（以及原始尺寸搜索），支持进度回调和取消；
+ * 无法创建 Worker 时（如直接以 file:// 打开页面）回退到主线程执行
+ */
+
+let scrambleWorker = null
+let workerReady = null // Promise<Worker|null>，Worker 脚本加载完成后兑现
+let activeJob = null
+let nextJobId = 1
+
+/**
+ * 创建表示“已取消”的错误
+ * @returns {Error}
+ */
+function createCancelError() {
+    const error = new Error('处理已取消')
+    error.name = 'CancelError'
+    return error
+}
+
+/**
+ * 判断错误是否由取消操作引起
+ * @param {Error} error 错误对象
+ * @returns {boolean}
+ */
+function isCancelError(error) {
+    return !!error && error.name === 'CancelError'
+}
+
+/**
+ * 获取（必要时创建）混淆 Worker
+ * 等到 Worker 报告就绪后才返回，避免像素数据转移给一个加载失败的 Worker
+ * @returns {Promise<Worker|null>} 无法使用 Worker 时为 null
+ */
+function getScrambleWorker() {
+    if (workerReady) return workerReady
+
+    workerReady = new Promise((resolve) => {
+        let worker
+        try {
+            worker = new Worker('./lib/scramble-worker.js')
+        } catch (err) {
+            console.warn('无法创建 Worker，将在主线程处理:', err)
+            resolve(null)
+            return
+        }
+
+        worker.onmessage = (e) => {
+            if (e.data.type !== 'ready') return
+            worker.onmessage = handleWorkerMessage
+            worker.onerror = handleWorkerError
+            scrambleWorker = worker
+            resolve(worker)
+        }
+        worker.onerror = (e) => {
+            console.warn('Worker 加载失败，将在主线程处理:', e.message || e)
+            e.preventDefault()
+            worker.terminate()
+            resolve(null)
+        }
+    })
+    return workerReady
+}
+
+/**
+ * 处理 Worker 返回的消息
+ * @param {MessageEvent} e 消息事件
+ */
+function handleWorkerMessage(e) {
+    const message = e.data
+    if (!activeJob || message.id !== activeJob.id) return
+
+    if (message.type === 'progress') {
+        if (activeJob.onProgress) activeJob.onProgress(message.progress)
+    } else if (message.type === 'done') {
+        const job = activeJob
+        activeJob = null
+        job.resolve(job.task === 'search'
+            ? message.results
+            : new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height))
+    } else if (message.type === 'error') {
+        const job = activeJob
+        activeJob = null
+        job.reject(new Error(message.message))
+    }
+}
+
+/**
+ * Worker 运行中崩溃（如内存不足）：丢弃该 Worker，当前任务失败
+ * @param {ErrorEvent} e 错误事件
+ */
+function handleWorkerError(e) {
+    console.error('Worker 出错:', e.message || e)
+    e.preventDefault()
+    discardScrambleWorker()
+
+    if (activeJob) {
+        const job = activeJob
+        activeJob = null
+        job.reject(new Error(e.message || '后台处理失败'))
+    }
+}
+
+/**
+ * 终止当前 Worker，下次任务时重新创建
+ */
+function discardScrambleWorker() {
+    if (!scrambleWorker) return
+    scrambleWorker.terminate()
+    scrambleWorker = null
+    workerReady = null
+}
+
+/**
+ * 在主线程执行任务（无法取消计算本身，但取消后会丢弃结果）
+ * @param {Object} job 任务
+ */
+async function runOnMainThread(job) {
+    try {
+        // 先让出一帧，确保“正在处理”状态已经渲染
+        await new Promise(resolve => setTimeout(resolve, 0))
+        const keyWords = await deriveKeyWords(job.options.key)
+        const imgdata = new ImageData(new Uint8ClampedArray(job.buffer), job.width, job.height)
+        const result = job.task === 'search'
+            ? searchOriginalSize(imgdata, keyWords, job.options, job.candidates, job.onProgress)
+            : scrambleImageData(imgdata, keyWords, job.options, job.inverse, job.onProgress)
+        if (activeJob !== job) return
+        activeJob = null
+        job.resolve(result)
+    } catch (error) {
+        if (activeJob !== job) return
+        activeJob = null
+        job.reject(error)
+    }
+}
+
+/**
+ * 提交任务，会先取消正在进行的任务
+ * @param {ImageData} imgdata 像素数据（其缓冲区会被转移给 Worker，调用后不可再使用）
+ * @param {Object} options 选项，见 encryptImage；其中 onProgress 为进度回调
+ * @param {Object} task 任务参数 {task: 'scramble' | 'search', inverse, candidates}
+ * @returns {Promise<ImageData|Array>}
+ */
+function submitJob(imgdata, options, task) {
+    cancelScrambleJob()
+
+    // 回调函数无法发送给 Worker，单独保存
+    const { onProgress, ...params } = options
+    return new Promise((resolve, reject) => {
+        const job = {
+            id: nextJobId++,
+            ...task,
+            width: imgdata.width,
+            height: imgdata.height,
+            buffer: imgdata.data.buffer,
+            options: params,
+            onProgress,
+            resolve,
+            reject
+        }
+        activeJob = job
+
+        getScrambleWorker().then((worker) => {
+            // 等待 Worker 期间任务可能已被取消
+            if (activeJob !== job) return
+            if (!worker) {
+                runOnMainThread(job)
+                return
+            }
+            worker.postMessage({
+                id: job.id,
+                ...task,
+                width: job.width,
+                height: job.height,
+                buffer: job.buffer,
+                options: params
+            }, [job.buffer])
+        })
+    })
+}
+
+/**
+ * 执行一次混淆或还原任务，会先取消正在进行的任务
+ * @param {ImageData} imgdata 像素数据（其缓冲区会被转移给 Worker，调用后不可再使用）
+ * @param {Object} options 选项，见 encryptImage；其中 onProgress 为进度回调
+ * @param {boolean} inverse 是否为逆操作（解密）
+ * @returns {Promise<ImageData>}
+ */
+function runScrambleJob(imgdata, options, inverse) {
+    return submitJob(imgdata, options, { task: 'scramble', inverse })
+}
+
+/**
+ * 对缩放过的图片尝试候选原始尺寸，会先取消正在进行的任务
+ * @param {ImageData} imgdata 像素数据（其缓冲区会被转移给 Worker，调用后不可再使用）
+ * @param {Object} options 解密选项；其中 onProgress 为进度回调
+ * @param {Array<{width: number, height: number}>} candidates 候选尺寸
+ * @returns {Promise<Array<{width: number, height: number, score: number}>>} 按得分从高到低排列
+ */
+function runSizeSearchJob(imgdata, options, candidates) {
+    return submitJob(imgdata, options, { task: 'search', candidates })
+}
+
+/**
+ * 取消正在进行的任务
+ * Worker 中的计算会被直接终止，下次任务时重新创建 Worker
+ * @returns {boolean} 是否有任务被取消
+ */
+function cancelScrambleJob() {
+    if (!activeJob) return false
+
+    const job = activeJob
+    activeJob = null
+    discardScrambleWorker()
+    job.reject(createCancelError())
+    return true
+}
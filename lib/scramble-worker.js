@@ -0,0 +1,44 @@
+/**
+ * 混淆计算 Worker
+ * 在后台线程中生成曲线并置换像素，避免大图处理时页面卡死
+ */
+
+importScripts('./crypto-utils.js', './compat-algorithms.js')
+
+// 通知主线程脚本已加载，可以开始转移像素数据
+self.postMessage({ type: 'ready' })
+
+/**
+ * 处理主线程发来的任务
+ * 消息格式 {id, task, inverse, candidates, width, height, buffer, options}，buffer 为转移过来的像素数据
+ * task 为 'scramble'（混淆或还原）或 'search'（尝试候选原始尺寸）
+ */
+self.onmessage = async (e) => {
+    const { id, task, inverse, candidates, width, height, buffer, options } = e.data
+    try {
+        const keyWords = await deriveKeyWords(options.key)
+        const imgdata = new ImageData(new Uint8ClampedArray(buffer), width, height)
+
+        let lastPercent = -1
+        const onProgress = (progress) => {
+            // 只在百分比变化时发送，减少消息数量
+            const percent = Math.floor(progress * 100)
+            if (percent !== lastPercent) {
+                lastPercent = percent
+                self.postMessage({ id, type: 'progress', progress })
+            }
+        }
+
+        if (task === 'search') {
+            const results = searchOriginalSize(imgdata, keyWords, options, candidates, onProgress)
+            self.postMessage({ id, type: 'done', results })
+            return
+        }
+
+        const result = scrambleImageData(imgdata, keyWords, options, inverse, onProgress)
+        // 缩放过的图片还原后尺寸会变化
+        self.postMessage({ id, type: 'done', buffer: result.data.buffer, width: result.width, height: result.height }, [result.data.buffer])
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message })
+    }
+}
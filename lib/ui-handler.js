@@ -24,8 +24,9 @@ function initializeUIHandlers(ipt, imgContainer, btnEnc, btnDec, btnRestore, btn
     // 解密按钮点击事件
     initDecryptButtonHandler(btnDec, imgContainer)
     
-    // 还原按钮点击事件
-    initRestoreButtonHandler(btnRestore, ipt, imgContainer)
+    // 还原、撤销、重做按钮点击事件
+    initRestoreButtonHandler(btnRestore)
+    initHistoryButtonHandler()
     
     // 粘贴按钮点击事件
     initPasteButtonHandler(btnPaste)
@@ -41,6 +42,27 @@ function initializeUIHandlers(ipt, imgContainer, btnEnc, btnDec, btnRestore, btn
     
     // 单选按钮点击优化
     initRadioOptionsHandler()
+    
+    // 混淆算法选择
+    initScrambleAlgorithmHandler()
+
+    // 尝试常见原始尺寸
+    initSizeSearchHandler(imgContainer)
+
+    // 仅混淆选区
+    initSelectionHandler(imgContainer)
+
+    // 输出格式
+    initOutputFormatHandler()
+
+    // 保存图片
+    initSaveButtonHandler()
+
+    // 复制结果到剪切板
+    initCopyButtonHandler()
+
+    // 元数据面板
+    initMetadataEditorHandler()
 }
 
 /**
@@ -61,6 +83,16 @@ function initFileInputHandler(ipt, imgContainer) {
  */
 function initContainerClickHandler(ipt, imgContainer) {
     imgContainer.addEventListener('click', (e) => {
+        // 点击取消按钮时终止正在进行的处理
+        if (e.target.closest('.processing-cancel')) {
+            cancelImageOperation()
+            return
+        }
+        // 处理过程中、框选区域、在图片上选择混淆范围或操作对比视图时点击不打开文件选择
+        if (e.target.closest('.processing-state') || e.target.closest('.selection-overlay') ||
+            e.target.closest('.compare-container') || isCropActive()) {
+            return
+        }
         // 如果正在进行刮刮乐效果，阻止点击打开文件选择
         if (isScratchingActive()) {
             return
@@ -104,18 +136,34 @@ function initDecryptButtonHandler(btnDec, imgContainer) {
 }
 
 /**
- * 初始化还原按钮处理器
+ * 初始化“尝试常见尺寸”按钮处理器
+ */
+function initSizeSearchHandler(imgContainer) {
+    const btnSearch = getElement('size-search')
+    if (!btnSearch) return
+    btnSearch.onclick = createImageOperationHandler(searchSizeAndDisplay, imgContainer)
+}
+
+/**
+ * 初始化还原按钮处理器 - 无论图片来自选择、拖放还是粘贴，都还原到最初载入的原图
  */
-function initRestoreButtonHandler(btnRestore, ipt, imgContainer) {
+function initRestoreButtonHandler(btnRestore) {
     btnRestore.onclick = () => {
-        if(ipt.files.length > 0){
-            const file = ipt.files[0]
-            const elements = rebuildImageDOM(imgContainer)
-            setSrc(URL.createObjectURL(file), imgContainer, elements.img, elements.emptyState, elements.processingState, false, true, file)
-        }
+        restoreOriginalImage()
     }
 }
 
+/**
+ * 初始化撤销、重做按钮处理器
+ */
+function initHistoryButtonHandler() {
+    const btnUndo = getElement('undo')
+    const btnRedo = getElement('redo')
+    if (btnUndo) btnUndo.onclick = undoHistory
+    if (btnRedo) btnRedo.onclick = redoHistory
+    updateHistoryButtons()
+}
+
 /**
  * 初始化粘贴按钮处理器
  */
@@ -163,6 +211,24 @@ function initKeyboardHandler() {
                 e.preventDefault()
                 pasteFromClipboard()
             }
+        } else if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+            // 输入框中保留浏览器自带的文字撤销
+            if (document.activeElement.tagName === 'INPUT' ||
+                document.activeElement.tagName === 'TEXTAREA') return
+            e.preventDefault()
+            // Ctrl+Y 或 Ctrl+Shift+Z 重做
+            if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+                redoHistory()
+            } else {
+                undoHistory()
+            }
+        } else if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'c') {
+            e.preventDefault()
+            copyCurrentImage()
+        } else if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            // 保存当前图片，而不是保存整个网页
+            e.preventDefault()
+            saveCurrentImage()
         }
     })
 }
@@ -317,3 +383,129 @@ function initRadioOptionsHandler() {
         })
     })
 }
+
+/**
+ * 初始化混淆算法选择 - 从算法注册表生成选项，仅在分块类算法下显示方块选项
+ */
+function initScrambleAlgorithmHandler() {
+    const algorithmSelect = getElement('scramble-algorithm')
+    if (!algorithmSelect) return
+
+    // 带 group 的算法放进同名分组，其余直接列出
+    const groups = new Map()
+    for (const algorithm of listScrambleAlgorithms()) {
+        const option = createElement('option', { text: algorithm.name })
+        option.value = algorithm.id
+        if (!algorithm.group) {
+            algorithmSelect.appendChild(option)
+            continue
+        }
+        if (!groups.has(algorithm.group)) {
+            const optgroup = document.createElement('optgroup')
+            optgroup.label = algorithm.group
+            groups.set(algorithm.group, optgroup)
+            algorithmSelect.appendChild(optgroup)
+        }
+        groups.get(algorithm.group).appendChild(option)
+    }
+
+    const update = () => {
+        const algorithm = getScrambleAlgorithm(algorithmSelect.value)
+        if (algorithm.usesBlocks) {
+            showElement('block-options', 'flex')
+        } else {
+            hideElement('block-options')
+        }
+        setText('algorithm-hint', algorithm.description || '')
+        // 兼容算法使用各自工具的密钥格式，在输入框中提示
+        const passphrase = getElement('passphrase')
+        if (passphrase) passphrase.placeholder = algorithm.keyHint || '留空则使用默认混淆'
+    }
+    algorithmSelect.addEventListener('change', update)
+    update()
+}
+
+/**
+ * 初始化混淆范围选择 - 仅混淆选区时在图片上显示选区画布
+ */
+function initSelectionHandler(imgContainer) {
+    const scopeSelect = getElement('scramble-scope')
+    if (!scopeSelect) return
+
+    const update = () => {
+        if (scopeSelect.value === 'selection') {
+            showElement('selection-options', 'flex')
+        } else {
+            hideElement('selection-options')
+        }
+        updateSelectionHint()
+        refreshSelectionOverlay()
+    }
+    scopeSelect.addEventListener('change', update)
+
+    const btnClear = getElement('clear-selection')
+    if (btnClear) btnClear.onclick = clearSelection
+
+    // 图片每次重建后重新覆盖选区画布（load 事件不冒泡，在捕获阶段监听）
+    imgContainer.addEventListener('load', (e) => {
+        if (e.target.id === 'display-img') refreshSelectionOverlay()
+    }, true)
+    update()
+}
+
+/**
+ * 初始化输出格式选择 - 仅在有损格式下显示质量滑块
+ */
+function initOutputFormatHandler() {
+    const formatSelect = getElement('output-format')
+    const qualitySlider = getElement('output-quality')
+    if (!formatSelect || !qualitySlider) return
+
+    const update = () => {
+        if (formatSelect.value === 'webp' || formatSelect.value === 'jpeg') {
+            showElement('quality-options', 'flex')
+        } else {
+            hideElement('quality-options')
+        }
+        setText('output-quality-value', `${qualitySlider.value}%`)
+    }
+    formatSelect.addEventListener('change', update)
+    qualitySlider.addEventListener('input', update)
+    update()
+}
+
+/**
+ * 初始化保存按钮处理器
+ */
+function initSaveButtonHandler() {
+    const btnSave = getElement('save')
+    if (!btnSave) return
+    btnSave.onclick = () => {
+        saveCurrentImage()
+    }
+}
+
+/**
+ * 初始化复制结果按钮处理器
+ */
+function initCopyButtonHandler() {
+    const btnCopy = getElement('copy')
+    if (!btnCopy) return
+    btnCopy.onclick = () => {
+        copyCurrentImage()
+    }
+}
+
+/**
+ * 初始化元数据面板 - 恢复原始元数据按钮，以及隐私设置变化时更新将去除的内容
+ */
+function initMetadataEditorHandler() {
+    const btnRestore = getElement('metadata-restore')
+    if (btnRestore) {
+        btnRestore.onclick = () => {
+            restoreMetadataEdits()
+        }
+    }
+    const policySelect = getElement('metadata-policy')
+    if (policySelect) policySelect.addEventListener('change', updatePrivacySummary)
+}